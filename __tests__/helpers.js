@@ -0,0 +1,39 @@
+const { EventEmitter } = require('events');
+const OpenAI = require('../src');
+
+// A client whose transport records the requests and answers with respond(config, count).
+// The options are the ones of the client, plus the organization and engine given to its constructor.
+function client(respond = () => ({}), { organization = null, engine = 'ada', ...options } = {}) {
+    let requests = [];
+
+    let instance = new OpenAI('KEY', organization, engine, {
+        ...options,
+        transport: async config => {
+            requests.push(config);
+
+            return {status: 200, headers: {}, data: await respond(config, requests.length)};
+        }
+    });
+
+    return {client: instance, requests};
+}
+
+// Jest's node environment does not expose AbortController.
+function abortController() {
+    let emitter = new EventEmitter();
+    let signal = {
+        aborted: false,
+        addEventListener: (type, listener) => emitter.once(type, listener),
+        removeEventListener: (type, listener) => emitter.removeListener(type, listener)
+    };
+
+    return {
+        signal,
+        abort() {
+            signal.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+}
+
+module.exports = { client, abortController };
@@ -0,0 +1,80 @@
+// Compiled by __tests__/unit/types.test.js, never run: it fails to compile when the declarations break.
+import OpenAI = require('../../src');
+
+const client = new OpenAI('KEY', null, 'ada', {retry: {retries: 2}, rateLimit: {concurrency: 1}});
+
+async function completions(): Promise<string> {
+	const completion: OpenAI.Completion = await client.complete('My name is', {max_tokens: 5, stop: ['\n']});
+
+	// With `stream: true` the promise resolves to the chunks instead.
+	const stream: AsyncGenerator<OpenAI.Completion> = await client.complete('My name is', {stream: true});
+	let text = completion.choices[0].text;
+
+	for await (const chunk of stream)
+		text += chunk.choices[0].text;
+
+	for await (const chunk of client.completeStream('My name is', {}, {fit: 'truncate-start', priority: 1}))
+		text += chunk.choices[0].text;
+
+	// @ts-expect-error the body keys are the ones of the schemas
+	await client.complete('My name is', {max_token: 5});
+
+	return text;
+}
+
+async function lists(): Promise<string[]> {
+	// A list is awaited like a promise of every item, or iterated page by page.
+	const engines: OpenAI.Engine[] = await client.getEngines();
+	const files = await client.getFiles({limit: 10}).then(files => files.map(file => file.filename));
+
+	for await (const event of client.getFineTuneEvents('ft-1'))
+		files.push(event.message);
+
+	return engines.map(engine => engine.id).concat(files);
+}
+
+async function embeddings(): Promise<number> {
+	const vector: number[] = await client.embed('Hello');
+	const vectors: number[][] = await client.embed(['Hello', 'world']);
+
+	return OpenAI.similarity.cosineSimilarity(vector, vectors[0]);
+}
+
+async function errors(): Promise<string | null> {
+	try {
+		await client.uploadFile({path: 'dataset.jsonl'}, 'fine-tune', {validate: true});
+	} catch (err) {
+		if (err instanceof OpenAI.ValidationError)
+			return err.message;
+
+		if (err instanceof OpenAI.BudgetExceededError)
+			return err.details.unit;
+
+		if (err instanceof OpenAI.RateLimitError || err instanceof OpenAI.TimeoutError)
+			return err.code || null;
+	}
+
+	return null;
+}
+
+async function tools(): Promise<number> {
+	const tokens: number[] = client.tokens(['Hello', 'world']);
+	const bias: OpenAI.LogitBias = client.biasFor({ban: ['damn'], boost: {Bond: 5}});
+	const report: OpenAI.BodyValidation = client.validateBody('search', {documents: ['a']});
+
+	const server = new OpenAI.FakeServer({latency: 5});
+	const local = new OpenAI('KEY', null, 'ada', {baseURL: await server.listen()});
+
+	server.respond('POST', '/answers', request => ({answers: [request.body.question]}), {times: 1})
+	.fail('GET', '/engines', {status: 429, retryAfter: 1});
+
+	await local.answer('Which puppy is happy?', {examples: [['q', 'a']], examples_context: 'context', documents: ['Puppy A is happy.']});
+
+	const request: OpenAI.FakeRequest = server.assertRequested('POST', '/answers');
+
+	await server.close();
+
+	return tokens[0] + Object.keys(bias).length + report.errors.length + request.path.length;
+}
+
+export { completions, lists, embeddings, errors, tools };
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('../../src');
+
+// Embeds each text as the count of some letters, so similarities are predictable.
+function fakeClient() {
+    let vectorize = text => ['a', 'e', 'o'].map(letter => text.split(letter).length - 1);
+
+    return new OpenAI('KEY', null, 'ada', {
+        transport: async config => {
+            let input = Array.isArray(config.data.input) ? config.data.input : [config.data.input];
+            let data = input.map((text, index) => ({index, embedding: vectorize(text)}));
+
+            return {status: 200, headers: {}, data: {data}};
+        }
+    });
+}
+
+describe('Document Index', () => {
+    it('should ranks the documents like search', async () => {
+        let index = new OpenAI.DocumentIndex(fakeClient());
+
+        let ids = await index.add(['aaaa', 'eeee', 'oooo']);
+        let results = await index.query('ea', {k: 2});
+
+        expect(ids).toEqual([0, 1, 2]);
+        expect(results.map(result => result.document)).toEqual(expect.arrayContaining([0, 1]));
+        expect(results[0]).toEqual(expect.objectContaining({object: 'search_result', score: expect.any(Number)}));
+    });
+
+    it('should splits long documents in chunks of tokens', async () => {
+        let index = new OpenAI.DocumentIndex(fakeClient(), {chunkSize: 2});
+
+        await index.add('one two three four five');
+
+        expect(index.chunks.map(chunk => chunk.text)).toEqual(['one two', ' three four', ' five']);
+        expect(index.size).toBe(1);
+    });
+
+    it('should never cuts a character in half between chunks', async () => {
+        let text = '日本語のテキストです 🎉🎉 終わり';
+        let index = new OpenAI.DocumentIndex(fakeClient(), {chunkSize: 3});
+
+        await index.add(text);
+
+        let chunks = index.chunks.map(chunk => chunk.text);
+
+        expect(chunks.slice(0, 2)).toEqual(['日本', '本語']);
+        expect(chunks[chunks.length - 1]).toBe('わり');
+
+        for (const chunk of chunks) {
+            expect(chunk).not.toContain('\uFFFD');
+            expect(text).toContain(chunk);
+        }
+    });
+
+    it('should filters by metadata and removes documents', async () => {
+        let index = new OpenAI.DocumentIndex(fakeClient());
+
+        await index.add([{id: 'x', text: 'aaaa', metadata: {lang: 'en'}}, {id: 'y', text: 'aaa', metadata: {lang: 'pt'}}]);
+
+        expect((await index.query('a', {filter: {lang: 'pt'}})).map(result => result.document)).toEqual(['y']);
+        expect(index.remove('y')).toBe(true);
+        expect((await index.query('a')).map(result => result.document)).toEqual(['x']);
+    });
+
+    it('should saves and loads the index', async () => {
+        let client = fakeClient();
+        let file = path.join(os.tmpdir(), `openai-nodejs-index-${process.pid}.json`);
+        let index = new OpenAI.DocumentIndex(client);
+
+        await index.add(['aaaa', 'eeee']);
+        await index.save(file);
+
+        let loaded = await OpenAI.DocumentIndex.load(client, file);
+        fs.unlinkSync(file);
+
+        expect(loaded.chunks).toEqual(index.chunks);
+        expect(await loaded.add('oooo')).toEqual([2]);
+    });
+});
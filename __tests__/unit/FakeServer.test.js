@@ -0,0 +1,109 @@
+const { Readable } = require('stream');
+const OpenAI = require('../../src');
+
+describe('Fake Server', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        server = new OpenAI.FakeServer();
+        client = new OpenAI('KEY', null, 'ada', {baseURL: await server.listen()});
+    });
+
+    afterEach(() => server.close());
+
+    it('should completes prompts and records the requests', async () => {
+        let completion = await client.complete('My name is Bond', {max_tokens: 3});
+
+        expect(completion.choices).toEqual([{text: ' test test test', index: 0, logprobs: null, finish_reason: 'length'}]);
+        expect(client.getUsage().total).toMatchObject({requests: 1, estimated_requests: 0, total_tokens: completion.usage.total_tokens});
+        expect(server.assertRequested('POST', '/engines/:engine/completions', {prompt: 'My name is Bond'}).params).toEqual({engine: 'ada'});
+        expect(() => server.assertRequested('POST', '/answers')).toThrow('expected POST /answers, received:\n  POST /engines/ada/completions');
+    });
+
+    it('should streams the completion as events', async () => {
+        let text = '';
+
+        for await (const chunk of client.completeStream('Hello', {max_tokens: 4}))
+            text += chunk.choices[0].text;
+
+        expect(text).toBe(' test test test test');
+    });
+
+    it('should uploads, lists, downloads and deletes files', async () => {
+        let file = await client.uploadFile([{text: 'Puppy A is happy.'}, {text: 'Puppy B is sad.'}], 'search', {filename: 'puppies.jsonl'});
+
+        expect(file).toMatchObject({object: 'file', filename: 'puppies.jsonl', purpose: 'search', status: 'processed'});
+        expect(server.assertRequested('POST', '/files').body).toEqual({file: {filename: 'puppies.jsonl', content: '{"text":"Puppy A is happy."}\n{"text":"Puppy B is sad."}'}, purpose: 'search'});
+        await expect(client.getFiles()).resolves.toEqual([file]);
+        await expect(client.downloadRecords(file.id)).resolves.toEqual([{text: 'Puppy A is happy.'}, {text: 'Puppy B is sad.'}]);
+
+        let search = await client.search('Which puppy is happy?', {file: file.id});
+
+        expect(search.map(result => result.score)).toEqual([75, 50]);
+
+        await expect(client.deleteFile(file.id)).resolves.toEqual({id: file.id, object: 'file', deleted: true});
+        await expect(client.getFile(file.id)).rejects.toBeInstanceOf(OpenAI.NotFoundError);
+    });
+
+    it('should keeps serving after an upload is cancelled mid-body', async () => {
+        // The stream never ends, so the upload is still sending its body when it times out.
+        let file = new Readable({read() {}});
+
+        file.push('{"text": "Puppy A is happy."}\n');
+
+        await expect(client.uploadFile(file, 'search', {timeout: 100})).rejects.toBeInstanceOf(OpenAI.TimeoutError);
+        await expect(client.getEngine('ada')).resolves.toMatchObject({id: 'ada'});
+
+        expect(server.requestsTo('POST', '/files')).toHaveLength(0);
+    });
+
+    it('should classifies and answers with the closest examples and documents', async () => {
+        let examples = [['A happy moment', 'Positive'], ['I am sad.', 'Negative']];
+
+        await expect(client.classificate('I am so sad', {examples})).resolves.toMatchObject({label: 'Negative'});
+
+        let answer = await client.answer('Which puppy is happy?', {
+            documents: ['Puppy A is happy.', 'Puppy B is sad.'],
+            examples_context: 'In 2017, U.S. life expectancy was 78.6 years.',
+            examples: [['What is human life expectancy in the United States?', '78 years.']]
+        });
+
+        expect(answer.answers).toEqual(['Puppy A is happy.']);
+    });
+
+    it('should sends the scripted responses until their times are used', async () => {
+        server.respond('POST', '/engines/:engine/completions', ({ body }) => ({choices: [{index: 0, text: body.prompt.toUpperCase()}]}), {times: 1});
+
+        await expect(client.complete('bond')).resolves.toEqual({choices: [{index: 0, text: 'BOND'}]});
+        await expect(client.complete('bond', {max_tokens: 1})).resolves.toMatchObject({choices: [{text: ' test'}]});
+    });
+
+    it('should injects rate limits, errors and disconnections', async () => {
+        let retrying = new OpenAI('KEY', null, 'ada', {baseURL: server.url, retry: {retries: 2, minDelay: 1}});
+
+        server.fail('GET', '/engines', {status: 429, retryAfter: 0, times: 2});
+
+        await expect(retrying.getEngines()).resolves.toHaveLength(6);
+        expect(server.requestsTo('GET', '/engines')).toHaveLength(3);
+
+        server.fail('GET', '/engines/:engine', {status: 500, message: 'The server had an error'});
+        await expect(client.getEngine('ada')).rejects.toThrow(OpenAI.ServerError);
+
+        server.fail('GET', '/engines/:engine', {disconnect: true});
+        await expect(client.getEngine('ada')).rejects.toBeInstanceOf(OpenAI.ConnectionError);
+    });
+
+    it('should delays the responses and checks the API key', async () => {
+        let secured = new OpenAI.FakeServer({apiKey: 'SECRET', latency: 50});
+        let url = await secured.listen();
+
+        try {
+            await expect(new OpenAI('KEY', null, 'ada', {baseURL: url}).getEngine('ada')).rejects.toBeInstanceOf(OpenAI.AuthenticationError);
+            await expect(new OpenAI('SECRET', null, 'ada', {baseURL: url}).getEngine('ada', {timeout: 10})).rejects.toBeInstanceOf(OpenAI.TimeoutError);
+            await expect(new OpenAI('SECRET', null, 'ada', {baseURL: url}).getEngine('ada')).resolves.toMatchObject({id: 'ada', ready: true});
+        } finally {
+            await secured.close();
+        }
+    });
+});
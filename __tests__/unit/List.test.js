@@ -0,0 +1,44 @@
+const { client } = require('../helpers');
+
+const paginated = pages => client((config, count) => pages[count - 1]);
+
+const pages = [
+    {object: 'list', data: [{id: 'file-1'}, {id: 'file-2'}], has_more: true},
+    {object: 'list', data: [{id: 'file-3'}], has_more: false}
+];
+
+describe('List', () => {
+    it('should iterates the items of every page', async () => {
+        let { client: openai, requests } = paginated(pages);
+        let ids = [];
+
+        for await (const file of openai.getFiles({limit: 2}))
+            ids.push(file.id);
+
+        expect(ids).toEqual(['file-1', 'file-2', 'file-3']);
+        expect(requests.map(request => request.params)).toEqual([{limit: 2}, {limit: 2, after: 'file-2'}]);
+    });
+
+    it('should resolves to every item when awaited', async () => {
+        let { client: openai } = paginated(pages);
+
+        await expect(openai.getFiles()).resolves.toEqual([{id: 'file-1'}, {id: 'file-2'}, {id: 'file-3'}]);
+    });
+
+    it('should exposes the pages', async () => {
+        let { client: openai } = paginated(pages);
+        let has_more = [];
+
+        for await (const page of openai.getFiles().pages())
+            has_more.push(page.has_more);
+
+        expect(has_more).toEqual([true, false]);
+    });
+
+    it('should stops when the response has no has_more', async () => {
+        let { client: openai, requests } = paginated([{object: 'list', data: [{id: 'ada'}]}]);
+
+        await expect(openai.getEngines().toArray()).resolves.toEqual([{id: 'ada'}]);
+        expect(requests.length).toBe(1);
+    });
+});
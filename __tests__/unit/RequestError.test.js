@@ -0,0 +1,69 @@
+const OpenAI = require('../../src');
+
+function rejecting(error) {
+    return new OpenAI('KEY', null, 'ada', {
+        transport: async () => {
+            throw error;
+        }
+    });
+}
+
+function responseError(status, data, headers = {}) {
+    let err = new Error('Request failed with status code ' + status);
+    err.response = {status, headers, data};
+
+    return err;
+}
+
+describe('Request Errors', () => {
+    it('should maps the status code to its error class', async () => {
+        let cases = [
+            [400, OpenAI.InvalidRequestError],
+            [401, OpenAI.AuthenticationError],
+            [403, OpenAI.PermissionError],
+            [404, OpenAI.NotFoundError],
+            [429, OpenAI.RateLimitError],
+            [503, OpenAI.ServerError]
+        ];
+
+        for (const [status, ErrorClass] of cases) {
+            let err = await rejecting(responseError(status, {error: {message: 'failure'}})).getFiles().catch(err => err);
+
+            expect(err).toBeInstanceOf(ErrorClass);
+            expect(err).toBeInstanceOf(OpenAI.RequestError);
+            expect(err.status).toBe(status);
+        }
+    });
+
+    it('should keeps the API error, headers, request id and endpoint', async () => {
+        let cause = responseError(404, {error: {message: 'No such engine', type: 'invalid_request_error', param: 'engine'}}, {'x-request-id': 'req_1'});
+        let err = await rejecting(cause).getEngine('unknown').catch(err => err);
+
+        expect(err.message).toBe('No such engine');
+        expect(err.type).toBe('invalid_request_error');
+        expect(err.param).toBe('engine');
+        expect(err.requestId).toBe('req_1');
+        expect(err.endpoint).toBe('/engines/unknown');
+        expect(err.cause).toBe(cause);
+    });
+
+    it('should uses the raw body when it is not an API error', async () => {
+        let err = await rejecting(responseError(502, '<html>Bad Gateway</html>')).getFiles().catch(err => err);
+
+        expect(err).toBeInstanceOf(OpenAI.ServerError);
+        expect(err.message).toBe('<html>Bad Gateway</html>');
+    });
+
+    it('should reports requests without response as connection errors', async () => {
+        let reset = Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'});
+        let timeout = Object.assign(new Error('timeout of 100ms exceeded'), {code: 'ECONNABORTED'});
+
+        let resetErr = await rejecting(reset).getFiles().catch(err => err);
+        let timeoutErr = await rejecting(timeout).getFiles().catch(err => err);
+
+        expect(resetErr).toBeInstanceOf(OpenAI.ConnectionError);
+        expect(resetErr).not.toBeInstanceOf(OpenAI.TimeoutError);
+        expect(resetErr.code).toBe('ECONNRESET');
+        expect(timeoutErr).toBeInstanceOf(OpenAI.TimeoutError);
+    });
+});
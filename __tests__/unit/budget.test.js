@@ -0,0 +1,69 @@
+const OpenAI = require('../../src');
+const { client } = require('../helpers');
+
+function budgeted(budget, usage = {prompt_tokens: 4, completion_tokens: 6, total_tokens: 10}) {
+    return client(() => ({choices: [{text: ' Bond', index: 0}], usage}), {engine: 'davinci', budget});
+}
+
+describe('Budget', () => {
+    it('should rejects requests whose estimate goes over the limit', async () => {
+        let { client, requests } = budgeted({tokens: 99});
+
+        // 4 prompt tokens + 16 * 2 * 3
+        await expect(client.complete('My name is Bond', {max_tokens: 16, n: 2, best_of: 3})).rejects.toThrow(OpenAI.BudgetExceededError);
+        expect(requests).toHaveLength(0);
+
+        await client.complete('My name is Bond', {max_tokens: 16, n: 2, best_of: 2});
+        expect(requests).toHaveLength(1);
+    });
+
+    it('should counts the tokens used instead of the estimate', async () => {
+        let { client } = budgeted({tokens: 40});
+
+        await client.complete('My name is Bond', {max_tokens: 16});
+        await client.complete('My name is Bond', {max_tokens: 16});
+
+        expect(client.getBudget().tokens).toEqual({limit: 40, spent: 20, remaining: 20});
+
+        let error = await client.complete('My name is Bond', {max_tokens: 20}).catch(err => err);
+
+        expect(error).toBeInstanceOf(OpenAI.RequestError);
+        expect(error.code).toBe('budget_exceeded');
+        expect(error.details).toEqual({unit: 'tokens', limit: 40, spent: 20, estimated: 24, window: 0});
+    });
+
+    it('should limits dollars with the prices of the client', async () => {
+        let { client } = budgeted({dollars: 0.001});
+
+        // 20 tokens of davinci cost $0.0012
+        await expect(client.complete('My name is Bond', {max_tokens: 16})).rejects.toThrow(/\$0\.0010/);
+        await expect(client.complete('My name is Bond', {max_tokens: 16}, {engine: 'curie'})).resolves.toBeDefined();
+    });
+
+    it('should frees the spending once it leaves the window', async () => {
+        jest.useFakeTimers('modern');
+
+        try {
+            let { client } = budgeted({tokens: 29, window: 60000});
+
+            await client.complete('My name is Bond', {max_tokens: 16});
+            await expect(client.complete('My name is Bond', {max_tokens: 16})).rejects.toThrow(OpenAI.BudgetExceededError);
+
+            jest.advanceTimersByTime(60001);
+
+            await expect(client.complete('My name is Bond', {max_tokens: 16})).resolves.toBeDefined();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('should releases the reservation of failed requests', async () => {
+        let client = new OpenAI('KEY', null, 'davinci', {
+            budget: {tokens: 30},
+            transport: async () => Promise.reject({response: {status: 400, headers: {}, data: {error: {message: 'Bad'}}}})
+        });
+
+        await expect(client.complete('My name is Bond', {max_tokens: 16})).rejects.toThrow(OpenAI.InvalidRequestError);
+        expect(client.getBudget().tokens.spent).toBe(0);
+    });
+});
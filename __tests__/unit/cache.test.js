@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('../../src');
+
+function cached(cache, key = 'KEY', organization = null) {
+    let transport = jest.fn(async config => ({status: 200, headers: {}, data: {id: 'cmpl-1', choices: [{text: config.data.prompt}]}}));
+    let client = new OpenAI(key, organization, 'ada', {transport, cache});
+
+    return {client, transport};
+}
+
+describe('Cache', () => {
+    it('should sends identical deterministic requests once', async () => {
+        let { client, transport } = cached(true);
+
+        let first = await client.complete('Hello', {temperature: 0, max_tokens: 5});
+        first.choices[0].text = 'changed';
+
+        let second = await client.complete('Hello', {max_tokens: 5, temperature: 0});
+
+        expect(transport).toHaveBeenCalledTimes(1);
+        expect(second.choices[0].text).toBe('Hello');
+    });
+
+    it('should skips non-deterministic requests and bypassed calls', async () => {
+        let { client, transport } = cached(true);
+
+        await client.complete('Hello', {temperature: 0.7});
+        await client.complete('Hello', {temperature: 0.7});
+        await client.complete('Hello', {temperature: 0}, {cache: false});
+        await client.complete('Hello', {temperature: 0}, {cache: false});
+
+        expect(transport).toHaveBeenCalledTimes(4);
+    });
+
+    it('should keeps the responses of each API key and organization apart', async () => {
+        let store = new OpenAI.MemoryStore();
+        let first = cached({store}, 'KEY', 'org-a');
+        let second = cached({store}, 'KEY', 'org-b');
+        let other_key = cached({store}, 'OTHER', 'org-a');
+
+        await first.client.complete('Hello', {temperature: 0});
+        await second.client.complete('Hello', {temperature: 0});
+        await other_key.client.complete('Hello', {temperature: 0});
+
+        expect(first.transport).toHaveBeenCalledTimes(1);
+        expect(second.transport).toHaveBeenCalledTimes(1);
+        expect(other_key.transport).toHaveBeenCalledTimes(1);
+
+        await second.client.complete('Hello', {temperature: 0}, {organization: 'org-a'});
+        await first.client.complete('Hello', {temperature: 0}, {organization: 'org-c'});
+
+        expect(second.transport).toHaveBeenCalledTimes(1);
+        expect(first.transport).toHaveBeenCalledTimes(2);
+    });
+
+    it('should expires values after the ttl', async () => {
+        let { client, transport } = cached({ttl: 1});
+
+        await client.search('Hello', {documents: ['A']});
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await client.search('Hello', {documents: ['A']});
+
+        expect(transport).toHaveBeenCalledTimes(2);
+    });
+
+    it('should evicts the least recently used values', () => {
+        let store = new OpenAI.MemoryStore({max: 2});
+
+        store.set('a', 1);
+        store.set('b', 2);
+        store.get('a');
+        store.set('c', 3);
+
+        expect(store.get('a')).toBe(1);
+        expect(store.get('b')).toBeUndefined();
+        expect(store.size).toBe(2);
+    });
+
+    it('should keeps the values on disk', async () => {
+        let directory = path.join(os.tmpdir(), `openai-nodejs-cache-${process.pid}`);
+
+        await cached({store: new OpenAI.FileStore({directory})}).client.complete('Hello', {temperature: 0});
+
+        let { client, transport } = cached({store: new OpenAI.FileStore({directory})});
+        let completion = await client.complete('Hello', {temperature: 0});
+
+        fs.rmSync(directory, {recursive: true, force: true});
+
+        expect(transport).not.toHaveBeenCalled();
+        expect(completion.choices[0].text).toBe('Hello');
+    });
+});
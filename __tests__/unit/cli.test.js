@@ -0,0 +1,108 @@
+const { Readable, Writable } = require('stream');
+const { run } = require('../../src/cli');
+
+function output() {
+    let text = '';
+
+    return {
+        stream: new Writable({
+            write(chunk, encoding, callback) {
+                text += chunk;
+                callback();
+            }
+        }),
+        get text() {
+            return text;
+        }
+    };
+}
+
+async function cli(argv, respond = () => ({}), { env = {OPENAI_API_KEY: 'KEY'}, stdin = Readable.from([]) } = {}) {
+    let requests = [];
+    let stdout = output();
+    let stderr = output();
+
+    let code = await run(argv, {
+        env,
+        stdin,
+        stdout: stdout.stream,
+        stderr: stderr.stream,
+        options: {
+            transport: async config => {
+                requests.push(config);
+
+                return {status: 200, headers: {}, data: respond(config)};
+            }
+        }
+    });
+
+    return {code, requests, stdout: stdout.text, stderr: stderr.text};
+}
+
+describe('Command Line', () => {
+    it('should counts, encodes and decodes tokens without an API key', async () => {
+        await expect(cli(['tokens', 'count', 'Hello, world!'], undefined, {env: {}})).resolves.toMatchObject({code: 0, stdout: '4\n'});
+        await expect(cli(['tokens', 'encode', 'Hello, world!'], undefined, {env: {}})).resolves.toMatchObject({stdout: '15496 11 995 0\n'});
+        await expect(cli(['tokens', 'decode', '15496', '11', '995', '0'], undefined, {env: {}})).resolves.toMatchObject({stdout: 'Hello, world!\n'});
+    });
+
+    it('should lists the engines as text or JSON', async () => {
+        let respond = () => ({data: [{id: 'ada'}, {id: 'davinci'}], has_more: false});
+
+        await expect(cli(['engines', 'list'], respond)).resolves.toMatchObject({code: 0, stdout: 'ada\ndavinci\n'});
+
+        let { stdout } = await cli(['engines', 'list', '--json'], respond);
+
+        expect(JSON.parse(stdout)).toEqual([{id: 'ada'}, {id: 'davinci'}]);
+    });
+
+    it('should streams the completion to the terminal', async () => {
+        let { code, stdout, requests } = await cli(['complete', 'My name is', '--max-tokens', '5', '--engine', 'ada'], () => Readable.from([
+            'data: {"choices": [{"index": 0, "text": " Bond"}]}\n\n',
+            'data: {"choices": [{"index": 0, "text": ", James"}]}\n\n',
+            'data: [DONE]\n\n'
+        ]));
+
+        expect(code).toBe(0);
+        expect(stdout).toBe(' Bond, James\n');
+        expect(requests[0].url).toBe('/engines/ada/completions');
+        expect(requests[0].data).toEqual({prompt: 'My name is', max_tokens: 5, stream: true});
+    });
+
+    it('should reads the prompt from stdin', async () => {
+        let { stdout, requests } = await cli(['complete', '--no-stream', '--json'], () => ({choices: [{index: 0, text: '!'}]}), {
+            env: {OPENAI_API_KEY: 'KEY'},
+            stdin: Readable.from(['Hello'])
+        });
+
+        expect(requests[0].data).toEqual({prompt: 'Hello'});
+        expect(JSON.parse(stdout)).toEqual({choices: [{index: 0, text: '!'}]});
+    });
+
+    it('should turns the options into the body of the request', async () => {
+        let { stdout, requests } = await cli(['search', 'CSS', '--documents', 'Dancing', '--documents', 'Programming', '--max-rerank', '5', '--return-metadata'], () => ({
+            data: [{document: 0, score: 10}, {document: 1, score: 200}]
+        }));
+
+        expect(requests[0].data).toEqual({query: 'CSS', documents: ['Dancing', 'Programming'], max_rerank: 5, return_metadata: true});
+        expect(stdout).toBe('200.000\tProgramming\n10.000\tDancing\n');
+    });
+
+    it('should sends a list option given once as a list', async () => {
+        let { code, requests } = await cli(['classify', 'I am sad', '--examples', '[["A happy moment", "Positive"]]', '--labels', 'Positive', '--expand', 'completion'], () => ({label: 'Positive'}));
+
+        expect(code).toBe(0);
+        expect(requests[0].data).toMatchObject({examples: [['A happy moment', 'Positive']], labels: ['Positive'], expand: ['completion']});
+
+        ({ code, requests } = await cli(['search', 'CSS', '--documents', 'Dancing'], () => ({data: [{document: 0, score: 10}]})));
+
+        expect(code).toBe(0);
+        expect(requests[0].data.documents).toEqual(['Dancing']);
+    });
+
+    it('should exits with an error without an API key or with an invalid body', async () => {
+        await expect(cli(['files', 'list'], undefined, {env: {}})).resolves.toMatchObject({code: 2, stderr: 'openai-nodejs: an API key is required, set OPENAI_API_KEY or pass --key\n'});
+        await expect(cli(['search', 'CSS', '--max-rerank', '0'])).resolves.toMatchObject({code: 1, stderr: expect.stringContaining('max_rerank must be at least 1')});
+        await expect(cli(['files', 'list', '--limit', '1'])).resolves.toMatchObject({code: 2, stderr: 'openai-nodejs: unknown option --limit\n'});
+    });
+});
@@ -0,0 +1,234 @@
+const { PassThrough } = require('stream');
+const OpenAI = require('../../src');
+const { abortController, client } = require('../helpers');
+
+describe('Client Options', () => {
+    it('should sends requests through the custom transport', async () => {
+        let requests = [];
+
+        let client = new OpenAI('KEY', 'ORG', 'ada', {
+            baseURL: 'http://localhost:8080/v1',
+            headers: {'X-Custom': 'yes'},
+            transport: async config => {
+                requests.push(config);
+
+                return {status: 200, headers: {}, data: {id: 'ada'}};
+            }
+        });
+
+        let engine = await client.getEngine('ada');
+
+        expect(engine).toEqual({id: 'ada'});
+        expect(requests[0].baseURL).toBe('http://localhost:8080/v1');
+        expect(requests[0].url).toBe('/engines/ada');
+        expect(requests[0].method).toBe('GET');
+        expect(requests[0].headers['Authorization']).toBe('Bearer KEY');
+        expect(requests[0].headers['OpenAI-Organization']).toBe('ORG');
+        expect(requests[0].headers['X-Custom']).toBe('yes');
+    });
+
+    it('should keeps the options of each client apart', async () => {
+        let urls = [];
+        let transport = async config => {
+            urls.push(config.baseURL);
+
+            return {status: 200, headers: {}, data: {data: []}};
+        };
+
+        await new OpenAI('KEY', null, 'ada', {baseURL: 'http://a/v1', transport}).getFiles();
+        await new OpenAI('KEY', null, 'ada', {transport}).getFiles();
+
+        expect(urls).toEqual(['http://a/v1', 'https://api.openai.com/v1']);
+    });
+});
+
+describe('Retries', () => {
+    function failing(statuses, headers = {}) {
+        let calls = 0;
+
+        let transport = async () => {
+            let status = statuses[calls++];
+
+            if (status === undefined)
+                return {status: 200, headers: {}, data: {data: []}};
+
+            let err = new Error('Request failed with status code ' + status);
+            err.response = {status, headers, data: {error: {message: 'failure ' + status}}};
+
+            throw err;
+        };
+
+        return {transport, calls: () => calls};
+    }
+
+    it('should retries retryable status codes and reports each attempt', async () => {
+        let { transport, calls } = failing([429, 502]);
+        let retries = [];
+
+        let client = new OpenAI('KEY', null, 'ada', {
+            transport,
+            retry: {retries: 2, minDelay: 1, onRetry: info => retries.push(info.attempt)}
+        });
+
+        await expect(client.getFiles()).resolves.toEqual([]);
+        expect(calls()).toBe(3);
+        expect(retries).toEqual([1, 2]);
+    });
+
+    it('should not retries other status codes', async () => {
+        let { transport, calls } = failing([400]);
+        let client = new OpenAI('KEY', null, 'ada', {transport, retry: {retries: 2, minDelay: 1}});
+
+        await expect(client.getFiles()).rejects.toThrow('failure 400');
+        expect(calls()).toBe(1);
+    });
+
+    it('should gives up after the configured retries', async () => {
+        let { transport, calls } = failing([500, 500, 500]);
+        let client = new OpenAI('KEY', null, 'ada', {transport, retry: {retries: 1, minDelay: 1}});
+
+        await expect(client.getFiles()).rejects.toThrow('failure 500');
+        expect(calls()).toBe(2);
+    });
+
+    it('should honors the Retry-After header', async () => {
+        let { transport } = failing([429], {'retry-after': '0'});
+        let delays = [];
+
+        let client = new OpenAI('KEY', null, 'ada', {
+            transport,
+            retry: {retries: 1, minDelay: 60000, onRetry: info => delays.push(info.delay)}
+        });
+
+        await client.getFiles();
+        expect(delays).toEqual([0]);
+    });
+
+    it('should builds the upload form again on every attempt', async () => {
+        let bodies = [];
+        let calls = 0;
+
+        let client = new OpenAI('KEY', null, 'ada', {
+            retry: {retries: 1, minDelay: 1},
+            transport: async config => {
+                bodies.push(config.data);
+
+                if (calls++ === 0) {
+                    let err = new Error('socket hang up');
+                    err.code = 'ECONNRESET';
+
+                    throw err;
+                }
+
+                return {status: 200, headers: {}, data: {id: 'file-1'}};
+            }
+        });
+
+        await expect(client.uploadFile('{"text": "A text here"}', 'answers')).resolves.toEqual({id: 'file-1'});
+        expect(bodies.length).toBe(2);
+        expect(bodies[0]).not.toBe(bodies[1]);
+    });
+});
+
+describe('Cancellation', () => {
+    const pending = async config => new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(new Error('cancelled')));
+    });
+
+    it('should rejects with an AbortError when the signal aborts', async () => {
+        let controller = abortController();
+        let client = new OpenAI('KEY', null, 'ada', {transport: pending});
+
+        let promise = client.complete('Hello', {}, {signal: controller.signal});
+        controller.abort();
+
+        let err = await promise.catch(err => err);
+
+        expect(err).toBeInstanceOf(OpenAI.AbortError);
+        expect(err.endpoint).toBe('/engines/ada/completions');
+    });
+
+    it('should rejects without sending when the signal is already aborted', async () => {
+        let controller = abortController();
+        let transport = jest.fn(pending);
+        let client = new OpenAI('KEY', null, 'ada', {transport});
+
+        controller.abort();
+
+        await expect(client.getFiles({signal: controller.signal})).rejects.toBeInstanceOf(OpenAI.AbortError);
+        expect(transport).not.toHaveBeenCalled();
+    });
+
+    it('should rejects with a TimeoutError after the call timeout', async () => {
+        let client = new OpenAI('KEY', null, 'ada', {transport: pending, retry: {retries: 3}});
+
+        await expect(client.getEngines({timeout: 10})).rejects.toBeInstanceOf(OpenAI.TimeoutError);
+    });
+
+    it('should stops a streamed completion when the signal aborts', async () => {
+        let controller = abortController();
+        let body = new PassThrough();
+
+        let client = new OpenAI('KEY', null, 'ada', {
+            transport: async () => ({status: 200, headers: {}, data: body})
+        });
+
+        let chunks = [];
+        let iteration = (async () => {
+            for await (const chunk of client.completeStream('Hello', {}, {signal: controller.signal})) {
+                chunks.push(chunk);
+                controller.abort();
+            }
+        })();
+
+        body.write('data: {"choices": [{"text": "Hi", "index": 0}]}\n\n');
+
+        await expect(iteration).rejects.toBeInstanceOf(OpenAI.AbortError);
+        expect(chunks.length).toBe(1);
+        expect(body.destroyed).toBe(true);
+    });
+});
+
+describe('Request Options', () => {
+    let recording = () => client(() => ({}), {organization: 'ORG'});
+
+    it('should never mutates the body', async () => {
+        let { client, requests } = recording();
+        let body = {engine: 'curie', max_tokens: 5};
+
+        await client.complete('Hello', body);
+        await client.complete('Hello', body);
+
+        expect(body).toEqual({engine: 'curie', max_tokens: 5});
+        expect(requests.map(request => request.url)).toEqual(['/engines/curie/completions', '/engines/curie/completions']);
+        expect(requests[0].data).toEqual({prompt: 'Hello', max_tokens: 5});
+    });
+
+    it('should overrides the engine or model from the options', async () => {
+        let { client, requests } = recording();
+
+        await client.search('Hello', {documents: ['A']}, {engine: 'babbage'});
+        await client.classificate('Hello', {model: 'curie', examples: [['Good', 'A']], labels: ['A']}, {engine: 'babbage'});
+
+        expect(requests[0].url).toBe('/engines/babbage/search');
+        expect(requests[1].data.model).toBe('babbage');
+    });
+
+    it('should sends the headers, organization and idempotency key of the call', async () => {
+        let { client, requests } = recording();
+
+        await client.getFiles({headers: {'X-Trace': '1'}, organization: 'OTHER', idempotencyKey: 'key-1'});
+
+        expect(requests[0].headers['X-Trace']).toBe('1');
+        expect(requests[0].headers['OpenAI-Organization']).toBe('OTHER');
+        expect(requests[0].headers['Idempotency-Key']).toBe('key-1');
+    });
+
+    it('should rejects unknown and invalid options', async () => {
+        let { client, requests } = recording();
+
+        await expect(client.getFiles({enigne: 'ada'})).rejects.toThrow('unknown option enigne');
+        await expect(client.getFiles({timeout: '10'})).rejects.toThrow('timeout must be a number');
+        expect(requests.length).toBe(0);
+    });
+});
@@ -0,0 +1,48 @@
+const OpenAI = require('../../src');
+const { client } = require('../helpers');
+
+const { similarity } = OpenAI;
+
+describe('Embeddings', () => {
+    it('should returns the vector of a string', async () => {
+        let { client: openai, requests } = client(() => ({data: [{index: 0, embedding: [0.1, 0.2]}]}));
+
+        let vector = await openai.embed('Hello', {engine: 'text-similarity-ada-001'});
+
+        expect(vector).toEqual([0.1, 0.2]);
+        expect(requests[0].url).toBe('/engines/text-similarity-ada-001/embeddings');
+        expect(requests[0].data).toEqual({input: 'Hello'});
+    });
+
+    it('should batches arrays and keeps the input order', async () => {
+        let { client: openai, requests } = client(config => ({
+            data: config.data.input.map((text, index) => ({index, embedding: [Number(text)]})).reverse()
+        }));
+
+        let input = Array.from({length: 250}, (value, index) => String(index));
+        let vectors = await openai.embed(input);
+
+        expect(requests.map(request => request.data.input.length)).toEqual([100, 100, 50]);
+        expect(vectors.map(vector => vector[0])).toEqual(input.map(Number));
+    });
+});
+
+describe('Similarity', () => {
+    it('should computes the cosine similarity', () => {
+        expect(similarity.cosineSimilarity([1, 0], [1, 0])).toBeCloseTo(1);
+        expect(similarity.cosineSimilarity([1, 0], [0, 1])).toBeCloseTo(0);
+        expect(similarity.cosineSimilarity([1, 0], [-1, 0])).toBeCloseTo(-1);
+        expect(similarity.cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    });
+
+    it('should normalizes vectors to length 1', () => {
+        expect(similarity.normalize([3, 4])).toEqual([0.6, 0.8]);
+    });
+
+    it('should returns the k nearest vectors', () => {
+        let result = similarity.nearest([1, 0], [[0, 1], [1, 1], [1, 0]], 2);
+
+        expect(result.map(item => item.index)).toEqual([2, 1]);
+        expect(result[0].score).toBeCloseTo(1);
+    });
+});
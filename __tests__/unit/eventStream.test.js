@@ -0,0 +1,31 @@
+const { Readable } = require('stream');
+const { readEvents } = require('../../src/utils/eventStream');
+
+async function collect(chunks) {
+    let messages = [];
+
+    for await (const message of readEvents(Readable.from(chunks)))
+        messages.push(message);
+
+    return messages;
+}
+
+describe('Event Stream', () => {
+    it('should yields the data of each event until [DONE]', async () => {
+        let messages = await collect(['data: {"a":1}\n\n', 'data: {"a":2}\n\n', 'data: [DONE]\n\n', 'data: {"a":3}\n\n']);
+
+        expect(messages).toEqual(['{"a":1}', '{"a":2}']);
+    });
+
+    it('should joins events split across chunks', async () => {
+        let messages = await collect(['da', 'ta: {"text":', '"Hi"}\r\n', '\r\ndata: [DO', 'NE]\n\n']);
+
+        expect(messages).toEqual(['{"text":"Hi"}']);
+    });
+
+    it('should ignores comments and joins multi-line data', async () => {
+        let messages = await collect([': keep-alive\n\n', 'data: first\ndata: second\n\n']);
+
+        expect(messages).toEqual(['first\nsecond']);
+    });
+});
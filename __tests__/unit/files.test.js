@@ -0,0 +1,46 @@
+const { Readable } = require('stream');
+const OpenAI = require('../../src');
+const { client } = require('../helpers');
+
+describe('Files', () => {
+    it('should downloads the file content as a stream', async () => {
+        let { client: openai, requests } = client(() => Readable.from(['{"text": "A"}\n', '{"text": "B"}\n']));
+
+        let content = await openai.downloadFile('file-1');
+
+        expect(content).toBeInstanceOf(Readable);
+        expect(requests[0].url).toBe('/files/file-1/content');
+        expect(requests[0].responseType).toBe('stream');
+    });
+
+    it('should parses the downloaded JSONL records', async () => {
+        let { client: openai } = client(() => Readable.from(['{"text": "A"}\n{"te', 'xt": "B"}\n\n']));
+
+        await expect(openai.downloadRecords('file-1')).resolves.toEqual([{text: 'A'}, {text: 'B'}]);
+    });
+
+    it('should waits until the file is processed', async () => {
+        let statuses = ['uploaded', 'uploaded', 'processed'];
+        let { client: openai, requests } = client((config, count) => ({id: 'file-1', status: statuses[count - 1]}));
+
+        let file = await openai.waitForFile('file-1', {interval: 1});
+
+        expect(file.status).toBe('processed');
+        expect(requests.length).toBe(3);
+    });
+
+    it('should rejects with the status details when the file errors', async () => {
+        let { client: openai } = client(() => ({id: 'file-1', status: 'error', status_details: 'Invalid JSON on line 3'}));
+
+        let err = await openai.waitForFile('file-1', {interval: 1}).catch(err => err);
+
+        expect(err).toBeInstanceOf(OpenAI.ProcessingError);
+        expect(err.message).toBe('Invalid JSON on line 3');
+    });
+
+    it('should rejects with a TimeoutError when the file takes too long', async () => {
+        let { client: openai } = client(() => ({id: 'file-1', status: 'uploaded'}));
+
+        await expect(openai.waitForFile('file-1', {interval: 5, timeout: 20})).rejects.toBeInstanceOf(OpenAI.TimeoutError);
+    });
+});
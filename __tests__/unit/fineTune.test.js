@@ -0,0 +1,53 @@
+const { Readable } = require('stream');
+const OpenAI = require('../../src');
+const { client } = require('../helpers');
+
+describe('Fine-tunes', () => {
+    it('should creates a fine-tune with the training file and hyperparameters', async () => {
+        let { client: openai, requests } = client(() => ({id: 'ft-1', status: 'pending'}));
+
+        await openai.createFineTune('file-1', {model: 'curie', n_epochs: 2});
+
+        expect(requests[0].method).toBe('POST');
+        expect(requests[0].url).toBe('/fine-tunes');
+        expect(requests[0].data).toEqual({training_file: 'file-1', model: 'curie', n_epochs: 2});
+    });
+
+    it('should waits until the fine-tune succeeds', async () => {
+        let statuses = ['pending', 'running', 'succeeded'];
+        let updates = [];
+        let { client: openai, requests } = client((config, count) => ({id: 'ft-1', status: statuses[count - 1]}));
+
+        let fineTune = await openai.waitForFineTune('ft-1', {interval: 1, onUpdate: fineTune => updates.push(fineTune.status)});
+
+        expect(fineTune.status).toBe('succeeded');
+        expect(updates).toEqual(statuses);
+        expect(requests.every(request => request.url === '/fine-tunes/ft-1')).toBe(true);
+    });
+
+    it('should rejects with a ProcessingError when the fine-tune fails', async () => {
+        let { client: openai } = client(() => ({id: 'ft-1', status: 'failed'}));
+
+        let err = await openai.waitForFineTune('ft-1', {interval: 1}).catch(err => err);
+
+        expect(err).toBeInstanceOf(OpenAI.ProcessingError);
+        expect(err.details.status).toBe('failed');
+    });
+
+    it('should follows the events stream', async () => {
+        let { client: openai, requests } = client(() => Readable.from([
+            'data: {"object": "fine-tune-event", "message": "Created"}\n\n',
+            'data: {"object": "fine-tune-event", "message": "Succeeded"}\n\n',
+            'data: [DONE]\n\n'
+        ]));
+
+        let messages = [];
+
+        for await (const event of openai.followFineTuneEvents('ft-1'))
+            messages.push(event.message);
+
+        expect(messages).toEqual(['Created', 'Succeeded']);
+        expect(requests[0].method).toBe('GET');
+        expect(requests[0].params).toEqual({stream: true});
+    });
+});
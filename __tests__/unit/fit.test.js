@@ -0,0 +1,73 @@
+const OpenAI = require('../../src');
+const { client } = require('../helpers');
+
+const recorder = () => client(() => ({choices: []}), {engine: 'davinci'});
+
+const long_prompt = 'one two three four five six seven eight nine ten. '.repeat(200);
+const words = 'word '.repeat(1999) + 'word';
+
+describe('Context window', () => {
+    it('should sends prompts that fit unchanged', async () => {
+        let { client, requests } = recorder();
+        let onFit = jest.fn();
+
+        await client.complete('My name is Bond', {max_tokens: 16}, {fit: 'error', onFit});
+
+        expect(requests[0].data).toEqual({prompt: 'My name is Bond', max_tokens: 16});
+        expect(onFit).not.toHaveBeenCalled();
+    });
+
+    it('should truncates the start or the end of the prompt', async () => {
+        let { client, requests } = recorder();
+        let reports = [];
+
+        await client.complete(long_prompt, {max_tokens: 48}, {fit: 'truncate-start', onFit: report => reports.push(report)});
+        await client.complete(long_prompt, {max_tokens: 48}, {fit: 'truncate-end', onFit: report => reports.push(report)});
+
+        let total = client.tokens(long_prompt);
+
+        for (const request of requests)
+            expect(client.tokens(request.data.prompt)).toBe(2000);
+
+        expect(long_prompt.endsWith(requests[0].data.prompt)).toBe(true);
+        expect(long_prompt.startsWith(requests[1].data.prompt)).toBe(true);
+
+        expect(reports[0]).toEqual(expect.objectContaining({engine: 'davinci', context_window: 2048, strategy: 'truncate-start', max_tokens: 48}));
+        expect(reports[0].trimmed).toEqual([{index: 0, tokens: total - 2000, text: expect.any(String)}]);
+        expect(long_prompt.startsWith(reports[0].trimmed[0].text)).toBe(true);
+    });
+
+    it('should only trims the prompts that do not fit', async () => {
+        let { client, requests } = recorder();
+
+        await client.complete(['Short', long_prompt], {}, {fit: 'truncate-end'});
+
+        expect(requests[0].data.prompt[0]).toBe('Short');
+        expect(client.tokens(requests[0].data.prompt[1])).toBe(2048 - 16);
+    });
+
+    it('should shrinks max_tokens', async () => {
+        let { client, requests } = recorder();
+        let onFit = jest.fn();
+
+        await client.complete(words, {max_tokens: 256}, {fit: 'shrink-max-tokens', onFit, engine: 'text-davinci-002'});
+        expect(requests[0].data.max_tokens).toBe(256);
+
+        await client.complete(words, {max_tokens: 256}, {fit: 'shrink-max-tokens', onFit});
+        expect(requests[1].data.max_tokens).toBe(48);
+        expect(onFit).toHaveBeenCalledWith(expect.objectContaining({max_tokens: 48, original_max_tokens: 256, trimmed: []}));
+    });
+
+    it('should rejects without sending the request', async () => {
+        let { client, requests } = recorder();
+
+        let error = await client.complete(long_prompt, {}, {fit: 'error'}).catch(err => err);
+
+        expect(error).toBeInstanceOf(OpenAI.ValidationError);
+        expect(error.code).toBe('context_length_exceeded');
+        expect(error.details.context_window).toBe(2048);
+        expect(requests).toHaveLength(0);
+
+        await expect(client.complete('My name is Bond', {}, {fit: 'truncate'})).rejects.toThrow('fit must be one of');
+    });
+});
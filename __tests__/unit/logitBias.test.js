@@ -0,0 +1,62 @@
+const OpenAI = require('../../src');
+const helpers = require('../helpers');
+
+describe('Logit Bias', () => {
+    let client = new OpenAI('UNKNOW');
+
+    it('should biases the spellings of each word', () => {
+        let bias = client.biasFor({boost: {bond: 5}});
+
+        for (const spelling of [' bond', ' Bond'])
+            expect(bias[client.encode(spelling)[0]]).toBe(5);
+
+        // Only the first token of a spelling is biased, never the pieces after it.
+        expect(bias[623]).toBeUndefined();
+        expect(client.biasFor({boost: {bond: 5}, variants: false})).toEqual({65: 5});
+    });
+
+    it('should biases the first token of each spelling of a phrase', () => {
+        let bias = client.biasFor({ban: ['New York'], boost: {'hello world': 3}});
+
+        for (const spelling of ['New York', ' New York', ' new york'])
+            expect(bias[client.encode(spelling)[0]]).toBe(-100);
+
+        for (const spelling of ['hello world', ' hello world', 'Hello world'])
+            expect(bias[client.encode(spelling)[0]]).toBe(3);
+
+        expect(bias[client.encode(' York')[0]]).toBeUndefined();
+        expect(bias[client.encode(' world')[0]]).toBeUndefined();
+    });
+
+    it('should bans words and token ids over any boost', () => {
+        let bias = client.biasFor({ban: ['damn', 50256], boost: {damn: 10, bond: 5}});
+
+        expect(bias[client.encode(' Damn')[0]]).toBe(-100);
+        // "damn" at the start of the text is "dam" + "n": "dam" is banned, "n" is left alone.
+        expect(bias[11043]).toBe(-100);
+        expect(bias[77]).toBeUndefined();
+        expect(bias[client.encode(' bond')[0]]).toBe(5);
+        expect(bias[50256]).toBe(-100);
+    });
+
+    it('should keeps the strongest bias of a token', () => {
+        let token = client.encode(' James')[0];
+
+        expect(client.biasFor({boost: {James: -3, ' James': 7}})[token]).toBe(7);
+    });
+
+    it('should validates the range and the amount of tokens', () => {
+        expect(() => client.biasFor({boost: {Bond: 101}})).toThrow('from -100 to 100');
+        expect(() => client.biasFor({ban: Array.from({length: 301}, (_, i) => i)})).toThrow('at most 300 tokens, got 301');
+    });
+
+    it('should be sent as the logit_bias of a completion', async () => {
+        let { client, requests } = helpers.client(() => ({choices: []}), {engine: 'davinci'});
+
+        let logit_bias = client.biasFor({ban: [50256]});
+
+        await client.complete('My name is', {logit_bias});
+
+        expect(requests[0].data.logit_bias).toEqual({50256: -100});
+    });
+});
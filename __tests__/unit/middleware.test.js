@@ -0,0 +1,96 @@
+const OpenAI = require('../../src');
+
+describe('Middlewares', () => {
+    it('should runs the middlewares in order around the request', async () => {
+        let calls = [];
+        let transport = jest.fn(async config => {
+            calls.push('transport ' + config.headers['X-Signed']);
+
+            return {status: 200, headers: {}, data: {data: []}};
+        });
+
+        let client = new OpenAI('KEY', null, 'ada', {transport})
+        .use(async (ctx, next) => {
+            calls.push('first ' + ctx.method + ' ' + ctx.endpoint);
+            await next();
+            calls.push('first ' + ctx.response.status);
+        })
+        .use(async (ctx, next) => {
+            ctx.headers['X-Signed'] = 'yes';
+            await next();
+            calls.push('second ' + typeof ctx.duration);
+        });
+
+        await client.getFiles();
+
+        expect(calls).toEqual(['first GET /files', 'transport yes', 'second number', 'first 200']);
+    });
+
+    it('should lets middlewares rewrite the body and see errors', async () => {
+        let bodies = [];
+        let errors = [];
+
+        let client = new OpenAI('KEY', null, 'ada', {
+            transport: async config => {
+                bodies.push(config.data);
+
+                let err = new Error('Request failed with status code 400');
+                err.response = {status: 400, headers: {}, data: {error: {message: 'Bad prompt'}}};
+
+                throw err;
+            }
+        });
+
+        client.use(async (ctx, next) => {
+            ctx.body = {...ctx.body, user: 'user-1'};
+
+            await next().catch(err => {
+                errors.push(ctx.error);
+
+                throw err;
+            });
+        });
+
+        await expect(client.complete('Hello')).rejects.toBeInstanceOf(OpenAI.InvalidRequestError);
+        expect(bodies[0]).toEqual({prompt: 'Hello', user: 'user-1'});
+        expect(errors[0].message).toBe('Bad prompt');
+    });
+
+    it('should lets middlewares answer without sending the request', async () => {
+        let transport = jest.fn();
+        let client = new OpenAI('KEY', null, 'ada', {transport});
+
+        client.use(async ctx => {
+            ctx.response = {status: 200, headers: {}, data: {id: 'ada'}};
+        });
+
+        await expect(client.getEngine('ada')).resolves.toEqual({id: 'ada'});
+        expect(transport).not.toHaveBeenCalled();
+    });
+
+    it('should sees every attempt of a retried request', async () => {
+        let attempts = [];
+        let client = new OpenAI('KEY', null, 'ada', {
+            retry: {retries: 1, minDelay: 1},
+            transport: async () => {
+                if (attempts.length === 1) {
+                    let err = new Error('Request failed with status code 503');
+                    err.response = {status: 503, headers: {}, data: {}};
+
+                    throw err;
+                }
+
+                return {status: 200, headers: {}, data: {id: 'ada'}};
+            }
+        });
+
+        client.use(async (ctx, next) => {
+            attempts.push(ctx.attempt);
+            await next();
+        });
+
+        await client.getEngine('ada');
+
+        expect(attempts).toEqual([1, 2]);
+    });
+});
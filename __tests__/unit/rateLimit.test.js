@@ -0,0 +1,116 @@
+const OpenAI = require('../../src');
+const { abortController } = require('../helpers');
+
+// A transport whose requests only finish when told to.
+function held(rateLimit) {
+    let pending = [];
+    let client = new OpenAI('KEY', null, 'davinci', {
+        rateLimit,
+        transport: config => new Promise(resolve => pending.push({config, finish: () => resolve({status: 200, headers: {}, data: {choices: []}})}))
+    });
+
+    return { client, pending };
+}
+
+// Lets the queued promises run, without timers so it also works with fake ones.
+async function flush() {
+    for (let i = 0; i < 20; i++)
+        await Promise.resolve();
+}
+
+describe('Rate Limit', () => {
+    it('should limits the requests running at once', async () => {
+        let { client, pending } = held({concurrency: 2});
+        let calls = [1, 2, 3].map(i => client.complete(`Prompt ${i}`));
+
+        await flush();
+
+        expect(pending).toHaveLength(2);
+        expect(client.getQueue()).toEqual(expect.objectContaining({queued: 1, running: 2}));
+
+        pending[0].finish();
+        await flush();
+
+        expect(pending).toHaveLength(3);
+        expect(pending[2].config.data.prompt).toBe('Prompt 3');
+
+        pending.slice(1).forEach(request => request.finish());
+        await Promise.all(calls);
+
+        expect(client.getQueue()).toEqual(expect.objectContaining({queued: 0, running: 0, requests: 3}));
+    });
+
+    it('should sends the requests with a higher priority first', async () => {
+        let { client, pending } = held({concurrency: 1});
+
+        let calls = [
+            client.complete('First'),
+            client.complete('Low', {}, {priority: -1}),
+            client.complete('Normal'),
+            client.complete('High', {}, {priority: 5})
+        ];
+
+        for (let i = 0; i < 4; i++) {
+            await flush();
+            pending[i].finish();
+        }
+
+        await Promise.all(calls);
+
+        expect(pending.map(request => request.config.data.prompt)).toEqual(['First', 'High', 'Normal', 'Low']);
+    });
+
+    it('should waits for the minute to send more requests or tokens', async () => {
+        jest.useFakeTimers('modern');
+
+        try {
+            let { client, pending } = held({requestsPerMinute: 2, tokensPerMinute: 100});
+
+            // 4 prompt tokens + 64 of max_tokens
+            let calls = [1, 2, 3].map(() => client.complete('My name is Bond', {max_tokens: 16}));
+
+            await flush();
+            expect(pending).toHaveLength(2);
+
+            let big = client.complete('My name is Bond', {max_tokens: 80});
+
+            pending.forEach(request => request.finish());
+            jest.advanceTimersByTime(60000);
+            await flush();
+
+            // The third request fits, the big one waits for the tokens of the third to leave the minute.
+            expect(pending).toHaveLength(3);
+            expect(client.getQueue()).toEqual(expect.objectContaining({queued: 1, requests: 1, tokens: 20}));
+
+            pending[2].finish();
+            jest.advanceTimersByTime(60000);
+            await flush();
+
+            expect(pending).toHaveLength(4);
+            pending[3].finish();
+
+            await Promise.all([...calls, big]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('should removes aborted requests from the queue', async () => {
+        let { client, pending } = held({concurrency: 1});
+        let controller = abortController();
+
+        let first = client.complete('First');
+        let second = client.complete('Second', {}, {signal: controller.signal});
+
+        await flush();
+        controller.abort();
+
+        await expect(second).rejects.toThrow(OpenAI.AbortError);
+        expect(client.getQueue().queued).toBe(0);
+
+        pending[0].finish();
+        await first;
+
+        expect(pending).toHaveLength(1);
+    });
+});
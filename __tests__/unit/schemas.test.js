@@ -0,0 +1,68 @@
+const OpenAI = require('../../src');
+
+describe('Body Validation', () => {
+    let client = new OpenAI('KEY', null, 'davinci', {
+        transport: async () => ({status: 200, headers: {}, data: {choices: []}})
+    });
+
+    it('should reports every offending field with the reason', () => {
+        let report = client.validateBody('completion', {
+            temperature: 3,
+            top_p: -1,
+            n: 1.5,
+            stop: ['a', 'b', 'c', 'd', 'e'],
+            logprobs: 10,
+            logit_bias: {50256: -101}
+        });
+
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual([
+            {field: 'temperature', message: 'must be at most 2, got 3'},
+            {field: 'top_p', message: 'must be at least 0, got -1'},
+            {field: 'n', message: 'must be an integer, got number'},
+            {field: 'logprobs', message: 'must be at most 5, got 10'},
+            {field: 'stop', message: 'must have at most 4 items, got 5'},
+            {field: 'logit_bias', message: 'must have biases from -100 to 100, got -101 for token 50256'}
+        ]);
+    });
+
+    it('should checks the fields that depend on each other', () => {
+        expect(client.validateBody('completion', {n: 3, best_of: 2}).errors).toEqual([{field: 'best_of', message: 'must be greater than or equal to n (3)'}]);
+        expect(client.validateBody('search', {}).errors).toEqual([{field: 'documents', message: 'is required unless file is given'}]);
+        expect(client.validateBody('answer', {examples: [['Q', 'A', 'B']]}).errors).toEqual([
+            {field: 'examples[0]', message: 'must be a pair of strings'},
+            {field: 'examples_context', message: 'is required'}
+        ]);
+    });
+
+    it('should rejects the calls with a ValidationError', async () => {
+        let error = await client.complete('Hello', {temprature: 0}).catch(err => err);
+
+        expect(error).toBeInstanceOf(OpenAI.ValidationError);
+        expect(error.message).toBe('invalid completion body: temprature is not a known parameter');
+        expect(error.details.errors).toEqual([{field: 'temprature', message: 'is not a known parameter'}]);
+
+        expect(() => client.completeStream('Hello', {stream: true, best_of: 2})).toThrow('best_of cannot be greater than 1 when streaming');
+    });
+
+    it('should warns about or ignores unknown keys when configured', async () => {
+        let warn = new OpenAI('KEY', null, 'davinci', {unknownKeys: 'warn', transport: async () => ({status: 200, headers: {}, data: {choices: []}})});
+        let ignore = new OpenAI('KEY', null, 'davinci', {unknownKeys: 'ignore'});
+        let emitWarning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+
+        try {
+            await warn.complete('Hello', {suffix_text: 'a'});
+
+            expect(emitWarning).toHaveBeenCalledWith('completion body: suffix_text is not a known parameter', 'OpenAIWarning');
+        } finally {
+            emitWarning.mockRestore();
+        }
+
+        expect(ignore.validateBody('completion', {suffix_text: 'a'})).toEqual({valid: true, errors: [], warnings: []});
+    });
+
+    it('should exports the schemas', () => {
+        expect(Object.keys(OpenAI.schemas)).toEqual(['completion', 'search', 'classification', 'answer', 'fine_tune', 'embedding']);
+        expect(OpenAI.schemas.completion.fields.temperature).toEqual({type: 'number', min: 0, max: 2});
+    });
+});
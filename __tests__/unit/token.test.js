@@ -20,4 +20,34 @@ describe('Tokens Amount', () => {
 
         expect(tokens).toBe(5);
     });
-});
\ No newline at end of file
+});
+
+describe('Tokenizer', () => {
+    let client = new OpenAI('UNKNOW');
+
+    it('should counts the tokens of each string of an array', () => {
+        expect(client.tokens(['Hello, world!', 'My name is Fulano', ''])).toEqual([4, 5, 0]);
+    });
+
+    it('should maps each token to its characters', () => {
+        let text = 'Hello, world!';
+        let tokens = client.tokenize(text);
+
+        expect(tokens.map(token => token.id)).toEqual(client.encode(text));
+        expect(tokens.map(token => token.text)).toEqual(['Hello', ',', ' world', '!']);
+        expect(tokens.map(token => text.slice(token.start, token.end))).toEqual(['Hello', ',', ' world', '!']);
+    });
+
+    it('should shares the offsets of tokens holding parts of a character', () => {
+        let tokens = client.tokenize('Hi 😀 there');
+
+        expect(tokens.map(token => [token.start, token.end])).toEqual([[0, 2], [2, 5], [2, 5], [5, 11]]);
+    });
+
+    it('should truncates on token boundaries without breaking characters', () => {
+        expect(client.truncate('One plus one equals two', 3)).toBe('One plus one');
+        expect(client.truncate('One plus one equals two', 10)).toBe('One plus one equals two');
+        expect(client.truncate('Hi 😀 there', 2)).toBe('Hi');
+        expect(client.truncate('Hi 😀 there', 3)).toBe('Hi 😀');
+    });
+});
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const OpenAI = require('../../src');
+
+const declarations = fs.readFileSync(path.join(__dirname, '../../src/index.d.ts'), 'utf8');
+
+// The fields of an interface, with whether they are optional.
+function fieldsOf(name) {
+    let match = declarations.match(new RegExp(`interface ${name} \\{([^}]*)\\}`));
+
+    if (!match)
+        return null;
+
+    return Object.fromEntries([...match[1].matchAll(/^\s*(\w+)(\??):/gm)].map(([, field, optional]) => [field, optional === '?']));
+}
+
+const bodies = {
+    completion: 'CompletionBody',
+    search: 'SearchBody',
+    classification: 'ClassificationBody',
+    answer: 'AnswerBody',
+    fine_tune: 'FineTuneBody',
+    embedding: 'EmbeddingBody'
+};
+
+describe('Type Declarations', () => {
+    it('should compiles a usage of the client in strict mode', () => {
+        let config = ts.getParsedCommandLineOfConfigFile(path.join(__dirname, '../../tsconfig.json'), {}, ts.sys);
+        let program = ts.createProgram(config.fileNames, config.options);
+        let diagnostics = ts.getPreEmitDiagnostics(program).map(diagnostic => ts.formatDiagnostic(diagnostic, {
+            getCanonicalFileName: name => name,
+            getCurrentDirectory: ts.sys.getCurrentDirectory,
+            getNewLine: () => '\n'
+        }));
+
+        expect(diagnostics).toEqual([]);
+    }, 60000);
+
+    it('should declares a body for every schema', () => {
+        expect(Object.keys(bodies).sort()).toEqual(Object.keys(OpenAI.schemas).sort());
+    });
+
+    it.each(Object.entries(bodies))('should keeps the %s body in sync with its schema', (schema, name) => {
+        let expected = Object.fromEntries(Object.entries(OpenAI.schemas[schema].fields).map(([field, rule]) => [field, !rule.required]));
+
+        expect(fieldsOf(name)).toEqual(expected);
+    });
+
+    it('should declares every public method of the client', () => {
+        let methods = Object.getOwnPropertyNames(OpenAI.prototype).filter(name => name !== 'constructor' && !name.startsWith('_'));
+        let body = declarations.slice(declarations.indexOf('declare class OpenAI {'), declarations.indexOf('declare namespace OpenAI {'));
+
+        for (const method of methods)
+            expect(body).toMatch(new RegExp(`\\n\\t${method}[<(]`));
+    });
+
+    it('should declares every export of the module', () => {
+        let namespace = declarations.slice(declarations.indexOf('declare namespace OpenAI {'));
+
+        for (const name of Object.keys(OpenAI))
+            expect(namespace).toMatch(new RegExp(`\\n\\t(class|const) ${name}\\b`));
+    });
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const OpenAI = require('../../src');
+
+function readForm(form) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let output = new PassThrough();
+
+        output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        output.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        output.on('error', reject);
+
+        form.pipe(output);
+    });
+}
+
+function uploader() {
+    let bodies = [];
+
+    let client = new OpenAI('KEY', null, 'ada', {
+        transport: async config => {
+            bodies.push(await readForm(config.data));
+
+            return {status: 200, headers: {}, data: {id: 'file-1'}};
+        }
+    });
+
+    return {client, bodies};
+}
+
+describe('Upload File', () => {
+    it('should serializes arrays of objects as JSONL', async () => {
+        let { client, bodies } = uploader();
+
+        await client.uploadFile([{prompt: 'Hello', completion: ' world'}, {prompt: 'Hi', completion: ' there'}], 'fine-tune', {filename: 'greetings.jsonl'});
+
+        expect(bodies[0]).toContain('filename="greetings.jsonl"');
+        expect(bodies[0]).toContain('{"prompt":"Hello","completion":" world"}\n{"prompt":"Hi","completion":" there"}');
+    });
+
+    it('should uploads Buffers and file paths', async () => {
+        let { client, bodies } = uploader();
+        let file = path.join(os.tmpdir(), `openai-nodejs-upload-${process.pid}.jsonl`);
+
+        fs.writeFileSync(file, '{"text": "From disk"}');
+
+        await client.uploadFile(Buffer.from('{"text": "From memory"}'), 'search');
+        await client.uploadFile({path: file}, 'search');
+
+        fs.unlinkSync(file);
+
+        expect(bodies[0]).toContain('filename="file.jsonl"');
+        expect(bodies[0]).toContain('{"text": "From memory"}');
+        expect(bodies[1]).toContain(`filename="${path.basename(file)}"`);
+        expect(bodies[1]).toContain('{"text": "From disk"}');
+    });
+
+    it('should reports the upload progress', async () => {
+        let { client } = uploader();
+        let progress = [];
+        let content = '{"text": "A text here"}';
+
+        await client.uploadFile(content, 'answers', {onProgress: event => progress.push(event)});
+
+        expect(progress[progress.length - 1]).toEqual({loaded: content.length, total: content.length});
+    });
+});
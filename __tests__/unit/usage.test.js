@@ -0,0 +1,57 @@
+const { Readable } = require('stream');
+const { client } = require('../helpers');
+
+const respond = data => client(() => data, {engine: 'davinci', prices: {curie: 0.01}}).client;
+
+describe('Usage', () => {
+    it('should uses the usage of the response', async () => {
+        let openai = respond({choices: [{text: ' world', index: 0}], usage: {prompt_tokens: 10, completion_tokens: 5, total_tokens: 15}});
+
+        await openai.complete('Hello');
+
+        expect(openai.getUsage().engines.davinci).toEqual({
+            requests: 1,
+            estimated_requests: 0,
+            prompt_tokens: 10,
+            completion_tokens: 5,
+            total_tokens: 15,
+            cost: 15 / 1000 * 0.06
+        });
+    });
+
+    it('should estimates the tokens with the encoder', async () => {
+        let openai = respond({choices: [{text: ' James Bond!', index: 0}]});
+
+        await openai.complete('My name is Bond', {}, {engine: 'text-curie-001'});
+
+        let usage = openai.getUsage();
+
+        expect(usage.engines['text-curie-001']).toEqual(expect.objectContaining({estimated_requests: 1, prompt_tokens: 4, completion_tokens: 3}));
+        expect(usage.total.cost).toBeCloseTo(7 / 1000 * 0.01);
+    });
+
+    it('should counts streamed completions', async () => {
+        let { client: openai } = client(() => Readable.from([
+            'data: {"choices": [{"text": " James", "index": 0}]}\n\n',
+            'data: {"choices": [{"text": " Bond", "index": 0}]}\n\n',
+            'data: [DONE]\n\n'
+        ]));
+
+        for await (const chunk of openai.completeStream('My name is Bond'));
+
+        expect(openai.getUsage().engines.ada).toEqual(expect.objectContaining({prompt_tokens: 4, completion_tokens: 2}));
+    });
+
+    it('should aggregates by engine and resets', async () => {
+        let openai = respond({model: 'curie', label: 'Positive', selected_examples: []});
+
+        await openai.classificate('A happy moment', {examples: [['A good day', 'Positive']], labels: ['Positive']}, {engine: 'curie'});
+        await openai.classificate('A sad moment', {examples: [['A good day', 'Positive']], labels: ['Positive']}, {engine: 'curie'});
+
+        let before = openai.resetUsage();
+
+        expect(before.engines.curie.requests).toBe(2);
+        expect(before.total.requests).toBe(2);
+        expect(openai.getUsage()).toEqual({total: expect.objectContaining({requests: 0, cost: 0}), engines: {}});
+    });
+});
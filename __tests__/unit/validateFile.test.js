@@ -0,0 +1,48 @@
+const { Readable } = require('stream');
+const OpenAI = require('../../src');
+
+describe('File Validation', () => {
+    let client = new OpenAI('UNKNOW');
+
+    it('should accepts a valid classifications file and counts its labels', async () => {
+        let content = '{"text": "A happy moment", "label": "Positive"}\n{"text": "I am sad.", "label": "Negative"}\n{"text": "Awesome", "label": "Positive"}\n';
+        let report = await client.validateFile(content, 'classifications');
+
+        expect(report.valid).toBe(true);
+        expect(report.stats).toEqual(expect.objectContaining({lines: 3, records: 3, labels: {Positive: 2, Negative: 1}}));
+    });
+
+    it('should reports line-numbered errors', async () => {
+        let lines = [
+            '{"prompt": "Hello", "completion": " world"}',
+            '{"prompt": "Hello"',
+            '{"prompt": "Hello", "completion": 3}',
+            '["prompt"]',
+            '{"prompt": "Hello", "completion": " world", "extra": true}'
+        ];
+
+        let report = await client.validateFile(Readable.from([lines.join('\n')]), 'fine-tune');
+
+        expect(report.valid).toBe(false);
+        expect(report.errors.map(error => error.line)).toEqual([2, 3, 4]);
+        expect(report.errors[1].message).toBe('"completion" must be a string');
+        expect(report.warnings).toEqual([{line: 5, message: 'unknown key "extra"'}]);
+    });
+
+    it('should checks the tokens of each record', async () => {
+        let report = await client.validateFile(JSON.stringify({text: 'hello '.repeat(2100)}), 'search');
+
+        expect(report.errors[0].message).toMatch(/text must be at most 2034 tokens/);
+    });
+
+    it('should rejects the upload of an invalid file when validate is set', async () => {
+        let transport = jest.fn();
+        let uploader = new OpenAI('KEY', null, 'ada', {transport});
+
+        let err = await uploader.uploadFile('{"text": 1}', 'answers', {validate: true}).catch(err => err);
+
+        expect(err).toBeInstanceOf(OpenAI.ValidationError);
+        expect(err.details.errors).toEqual([{line: 1, message: '"text" must be a string'}]);
+        expect(transport).not.toHaveBeenCalled();
+    });
+});
@@ -1,5 +1,6 @@
 module.exports = {
     roots: ['__tests__'],
+    testMatch: ['**/*.test.js'],
     testEnvironment: 'node',
     bail: true,
     verbose: true
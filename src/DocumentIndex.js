@@ -0,0 +1,268 @@
+const assert = require('assert');
+const fs = require('fs');
+
+const { dot, normalize } = require('./utils/similarity');
+
+/**
+ * In-process vector index of documents, embedded with an {@link OpenAI} client.
+ * Documents are split in chunks of tokens, each chunk is embedded and ranked separately.
+ */
+class DocumentIndex {
+	#client;
+	#next_id = 0;
+
+	/**
+	 * @typedef {Object} DocumentIndexOptions
+	 *
+	 * @property {String} [engine] The embedding engine, the client's one by default.
+	 * @property {Number} [chunkSize=200] Maximum tokens of each chunk.
+	 * @property {Number} [chunkOverlap=0] Tokens repeated at the start of each chunk from the end of the previous one.
+	 */
+
+	/**
+	 * @param {OpenAI} client The client used to encode and embed the documents
+	 * @param {DocumentIndexOptions} [options={}]
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 *
+	 * const index = new OpenAI.DocumentIndex(client, {engine: 'text-search-ada-doc-001'});
+	 */
+	constructor(client, options = {}) {
+		assert.ok(client && typeof client.embed === 'function', 'client must be an OpenAI client');
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+		assert.ok(options.engine ? typeof options.engine === 'string' : true, 'engine must be a string');
+
+		let { engine = null, chunkSize = 200, chunkOverlap = 0 } = options;
+
+		assert.ok(Number.isInteger(chunkSize) && chunkSize > 0, 'chunkSize must be a positive integer');
+		assert.ok(Number.isInteger(chunkOverlap) && chunkOverlap >= 0 && chunkOverlap < chunkSize, 'chunkOverlap must be a positive integer lower than chunkSize');
+
+		this.#client = client;
+
+		this.engine = engine;
+		this.chunkSize = chunkSize;
+		this.chunkOverlap = chunkOverlap;
+
+		this.chunks = [];
+	}
+
+	/**
+	 * @typedef {Object} IndexDocument
+	 *
+	 * @property {String|Number} [id] Identifies the document, the next free number by default.
+	 * @property {String} text
+	 * @property {Object} [metadata] Returned with the results and matched by the query filters.
+	 */
+
+	/**
+	 * Splits, embeds and stores the documents.
+	 * @param {String|IndexDocument|Array<String|IndexDocument>} documents
+	 * @param {RequestOptions} [options={}] Options of the embedding requests
+	 * @returns {Promise<Array<String|Number>>} The id of each document
+	 * @example
+	 * index.add(['Dancing', 'Programming', {text: 'Skating', metadata: {outdoor: true}}])
+	 * .then(ids => console.log(`Indexed: ${ids.join(', ')}`))
+	 * .catch(console.error);
+	 */
+	async add(documents, options = {}) {
+		documents = (Array.isArray(documents) ? documents : [documents])
+		.map(document => typeof document === 'string' ? {text: document} : document);
+
+		assert.ok(documents.every(document => document && typeof document.text === 'string'), 'documents must be strings or objects with a text');
+
+		let chunks = [];
+
+		for (const document of documents) {
+			let id = document.id === undefined ? this.#next_id++ : document.id;
+
+			if (typeof id === 'number' && id >= this.#next_id)
+				this.#next_id = id + 1;
+
+			for (const text of this.#split(document.text))
+				chunks.push({document: id, text, metadata: document.metadata || {}});
+		}
+
+		let vectors = await this.#client.embed(chunks.map(chunk => chunk.text), {}, this.#requestOptions(options));
+
+		chunks.forEach((chunk, i) => {
+			chunk.vector = normalize(vectors[i]);
+		});
+
+		let ids = new Set(chunks.map(chunk => chunk.document));
+
+		this.chunks = this.chunks.filter(chunk => !ids.has(chunk.document)).concat(chunks);
+
+		return [...ids];
+	}
+
+	/**
+	 * Removes a document and its chunks.
+	 * @param {String|Number} id
+	 * @returns {Boolean} Whether the document was in the index
+	 */
+	remove(id) {
+		let size = this.chunks.length;
+
+		this.chunks = this.chunks.filter(chunk => chunk.document !== id);
+
+		return this.chunks.length !== size;
+	}
+
+	/**
+	 * The amount of documents in the index.
+	 * @type {Number}
+	 */
+	get size() {
+		return new Set(this.chunks.map(chunk => chunk.document)).size;
+	}
+
+	/**
+	 * @typedef {Object} IndexResult
+	 *
+	 * @property {String|Number} document The id of the document
+	 * @property {String} object
+	 * @property {Number} score The cosine similarity of the best chunk of the document
+	 * @property {String} text The best chunk of the document
+	 * @property {Object} metadata
+	 */
+
+	/**
+	 * @typedef {Object} QueryOptions
+	 *
+	 * @property {Number} [k=10] Maximum documents to return.
+	 * @property {Object|Function} [filter] Metadata values the documents must have, or a function receiving the metadata and the id of a document.
+	 * @property {AbortSignal} [signal] Cancels the embedding request.
+	 * @property {Number} [timeout] Milliseconds the embedding request may take.
+	 */
+
+	/**
+	 * Ranks the documents by their semantic similarity to the query.
+	 * @param {String} query
+	 * @param {QueryOptions} [options={}]
+	 * @returns {Promise<Array<IndexResult>>} The best documents first, in the same shape as {@link OpenAI#search} results
+	 * @example
+	 * index.query('I do not like CSS', {k: 1, filter: {outdoor: false}})
+	 * .then(([result]) => console.log(`Likely subject: ${result.text} (${result.score})`))
+	 * .catch(console.error);
+	 */
+	async query(query, options = {}) {
+		assert.strictEqual(typeof query, 'string', 'query must be a string');
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+
+		let { k = 10, filter = null, ...request_options } = options;
+
+		assert.ok(Number.isInteger(k) && k > 0, 'k must be a positive integer');
+		assert.ok(filter === null || typeof filter === 'object' || typeof filter === 'function', 'filter must be an object or a function');
+
+		let matches = typeof filter === 'function'
+			? chunk => filter(chunk.metadata, chunk.document)
+			: chunk => !filter || Object.keys(filter).every(key => chunk.metadata[key] === filter[key]);
+
+		let vector = normalize(await this.#client.embed(query, {}, this.#requestOptions(request_options)));
+		let best = new Map();
+
+		for (const chunk of this.chunks) {
+			if (!matches(chunk))
+				continue;
+
+			let score = dot(vector, chunk.vector);
+			let current = best.get(chunk.document);
+
+			if (!current || score > current.score)
+				best.set(chunk.document, {document: chunk.document, object: 'search_result', score, text: chunk.text, metadata: chunk.metadata});
+		}
+
+		return [...best.values()]
+		.sort((a, b) => b.score - a.score)
+		.slice(0, k);
+	}
+
+	/**
+	 * The JSON representation of the index, as written by {@link DocumentIndex#save}.
+	 * @returns {Object}
+	 */
+	toJSON() {
+		return {
+			engine: this.engine,
+			chunkSize: this.chunkSize,
+			chunkOverlap: this.chunkOverlap,
+			chunks: this.chunks
+		};
+	}
+
+	/**
+	 * Writes the index to a JSON file.
+	 * @param {String} path
+	 * @returns {Promise<void>}
+	 */
+	async save(path) {
+		assert.strictEqual(typeof path, 'string', 'path must be a string');
+
+		await fs.promises.writeFile(path, JSON.stringify(this));
+	}
+
+	/**
+	 * Creates an index from the representation returned by {@link DocumentIndex#toJSON}.
+	 * @param {OpenAI} client
+	 * @param {Object} json
+	 * @returns {DocumentIndex}
+	 */
+	static fromJSON(client, json) {
+		assert.ok(json && Array.isArray(json.chunks), 'invalid index content');
+
+		let index = new DocumentIndex(client, json);
+
+		index.chunks = json.chunks;
+		index.#next_id = json.chunks.reduce((next, chunk) => typeof chunk.document === 'number' ? Math.max(next, chunk.document + 1) : next, 0);
+
+		return index;
+	}
+
+	/**
+	 * Reads an index written by {@link DocumentIndex#save}.
+	 * @param {OpenAI} client
+	 * @param {String} path
+	 * @returns {Promise<DocumentIndex>}
+	 * @example
+	 * OpenAI.DocumentIndex.load(client, 'index.json')
+	 * .then(index => index.query('I do not like CSS'))
+	 * .then(console.log)
+	 * .catch(console.error);
+	 */
+	static async load(client, path) {
+		assert.strictEqual(typeof path, 'string', 'path must be a string');
+
+		return DocumentIndex.fromJSON(client, JSON.parse(await fs.promises.readFile(path, 'utf8')));
+	}
+
+	// Vectors of different engines cannot be compared, so the engine of the index always wins.
+	#requestOptions(options) {
+		return this.engine ? {...options, engine: this.engine} : options;
+	}
+
+	// Chunks are cut on the offsets of their tokens, so a character split across tokens is never cut in half:
+	// when a chunk boundary falls inside one, the character is kept whole in both chunks.
+	#split(text) {
+		let tokens = this.#client.tokenize(text);
+
+		if (tokens.length <= this.chunkSize)
+			return [text];
+
+		let chunks = [];
+		let step = this.chunkSize - this.chunkOverlap;
+
+		for (let start = 0; start < tokens.length; start += step) {
+			let end = Math.min(start + this.chunkSize, tokens.length);
+
+			chunks.push(text.slice(tokens[start].start, tokens[end - 1].end));
+
+			if (end >= tokens.length)
+				break;
+		}
+
+		return chunks;
+	}
+}
+
+module.exports = DocumentIndex;
@@ -0,0 +1,618 @@
+const assert = require('assert');
+const http = require('http');
+
+const gpt3encoder = require('gpt-3-encoder');
+
+const default_engines = ['ada', 'babbage', 'curie', 'davinci', 'text-davinci-003', 'text-similarity-babbage-001'];
+
+const error_types = {
+	400: 'invalid_request_error',
+	401: 'invalid_request_error',
+	404: 'invalid_request_error',
+	429: 'requests'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Turns a route like `/engines/:engine/completions` into a regex capturing its parameters.
+ * @param {String} path
+ * @returns {RegExp}
+ * @private
+ */
+function routeOf(path) {
+	return new RegExp(`^${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, '(?<$1>[^/]+)')}$`);
+}
+
+function wordsOf(text) {
+	return new Set(String(text).toLowerCase().match(/\w+/g) || []);
+}
+
+/**
+ * Share of the words of the query found in the text, from 0 to 100.
+ * @private
+ */
+function scoreOf(query, text) {
+	let words = wordsOf(query);
+	let found = wordsOf(text);
+
+	return words.size === 0 ? 0 : 100 * [...words].filter(word => found.has(word)).length / words.size;
+}
+
+/**
+ * Whether the actual value holds every field of the expected one, arrays being compared item by item.
+ * @private
+ */
+function matches(actual, expected) {
+	if (expected === null || typeof expected !== 'object')
+		return Object.is(actual, expected);
+
+	if (actual === null || typeof actual !== 'object' || Array.isArray(actual) !== Array.isArray(expected))
+		return false;
+
+	if (Array.isArray(expected) && actual.length !== expected.length)
+		return false;
+
+	return Object.keys(expected).every(key => matches(actual[key], expected[key]));
+}
+
+/**
+ * Reads the fields of a multipart body, files being `{filename, content}`.
+ * @param {Buffer} buffer
+ * @param {String} boundary
+ * @returns {Object}
+ * @private
+ */
+function parseMultipart(buffer, boundary) {
+	let fields = {};
+	let delimiter = Buffer.from(`--${boundary}`);
+	let start = buffer.indexOf(delimiter);
+
+	while (start !== -1) {
+		start += delimiter.length;
+
+		let end = buffer.indexOf(delimiter, start);
+
+		if (end === -1)
+			break;
+
+		// Each part starts after the line break of its delimiter and ends before the one of the next delimiter.
+		let part = buffer.slice(start + 2, end - 2);
+		let separator = part.indexOf('\r\n\r\n');
+		let headers = part.slice(0, separator).toString();
+		let content = part.slice(separator + 4).toString();
+		let name = /; name="([^"]*)"/.exec(headers);
+		let filename = /; filename="([^"]*)"/.exec(headers);
+
+		if (name)
+			fields[name[1]] = filename ? {filename: filename[1], content} : content;
+
+		start = end;
+	}
+
+	return fields;
+}
+
+function recordsOf(file) {
+	return file.content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * In-process HTTP stand-in of the OpenAI API, to test the client and the apps using it without network.
+ * It answers the engines, completions (streamed too), search, classifications, answers, embeddings and files endpoints
+ * with deterministic results, and any route can be scripted, delayed or made to fail.
+ * @example
+ * const OpenAI = require('openai-nodejs');
+ *
+ * (async () => {
+ *     const server = new OpenAI.FakeServer();
+ *     const client = new OpenAI('YOUR_API_KEY', null, 'ada', {baseURL: await server.listen()});
+ *
+ *     server.respond('POST', '/engines/:engine/completions', {choices: [{index: 0, text: ', James Bond'}]});
+ *
+ *     const completion = await client.complete('My name is Bond');
+ *
+ *     server.assertRequested('POST', '/engines/ada/completions', {prompt: 'My name is Bond'});
+ *     await server.close();
+ * })()
+ * .catch(console.error);
+ */
+class FakeServer {
+	#server = null;
+	#sockets = new Set();
+	#routes;
+	#scripts = [];
+	#next_id = 0;
+
+	/**
+	 * @typedef {Object} FakeServerOptions
+	 *
+	 * @property {String} [apiKey] Requests without this key are rejected with a 401, any key is accepted by default.
+	 * @property {Number} [latency=0] Milliseconds to wait before each response.
+	 * @property {Array<String>} [engines] Ids of the listed engines.
+	 */
+
+	/**
+	 * @param {FakeServerOptions} [options={}]
+	 */
+	constructor(options = {}) {
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+		assert.ok(options.apiKey ? typeof options.apiKey === 'string' : true, 'apiKey must be a string');
+		assert.ok(options.latency !== undefined ? typeof options.latency === 'number' && options.latency >= 0 : true, 'latency must be a positive number');
+		assert.ok(options.engines ? Array.isArray(options.engines) && options.engines.every(engine => typeof engine === 'string') : true, 'engines must be an array of strings');
+
+		let { apiKey = null, latency = 0, engines = default_engines } = options;
+
+		this.apiKey = apiKey;
+		this.latency = latency;
+		this.engines = engines;
+
+		this.url = null;
+
+		/**
+		 * Every request received, in order, as `{method, path, query, headers, body}`.
+		 * Multipart bodies hold their fields, files as `{filename, content}`.
+		 * @type {Array<Object>}
+		 */
+		this.requests = [];
+
+		/**
+		 * Uploaded files by id, each with its `content`.
+		 * @type {Map<String, Object>}
+		 */
+		this.files = new Map();
+
+		this.#routes = [
+			['GET', '/engines', request => this.#page(this.engines.map(id => ({id, object: 'engine', owner: 'openai', ready: true})), request.query)],
+			['GET', '/engines/:engine', request => this.#engine(request.params.engine)],
+			['POST', '/engines/:engine/completions', request => this.#complete(request)],
+			['POST', '/engines/:engine/search', request => this.#search(request)],
+			['POST', '/engines/:engine/embeddings', request => this.#embed(request)],
+			['POST', '/classifications', request => this.#classify(request)],
+			['POST', '/answers', request => this.#answer(request)],
+			['GET', '/files', request => this.#page([...this.files.values()].map(({ content, ...file }) => file), request.query)],
+			['POST', '/files', request => this.#upload(request)],
+			['GET', '/files/:file', request => this.#file(request.params.file)],
+			['DELETE', '/files/:file', request => this.#delete(request.params.file)],
+			['GET', '/files/:file/content', request => Buffer.from(this.#file(request.params.file, true).content)]
+		].map(([method, path, handler]) => ({method, route: routeOf(path), handler}));
+	}
+
+	/**
+	 * Starts listening on localhost.
+	 * @param {Number} [port=0] A free port by default
+	 * @returns {Promise<String>} The URL to use as the `baseURL` of the client
+	 */
+	listen(port = 0) {
+		assert.ok(!this.#server, 'server is already listening');
+
+		// A response can fail to be written once its client is gone, which must not end the process.
+		this.#server = http.createServer((req, res) => this.#handle(req, res).catch(() => res.destroy()));
+		this.#server.on('connection', socket => {
+			this.#sockets.add(socket);
+			socket.on('close', () => this.#sockets.delete(socket));
+		});
+
+		return new Promise((resolve, reject) => {
+			this.#server.once('error', reject);
+			this.#server.listen(port, '127.0.0.1', () => {
+				this.url = `http://127.0.0.1:${this.#server.address().port}/v1`;
+
+				resolve(this.url);
+			});
+		});
+	}
+
+	/**
+	 * Stops the server, closing the connections kept alive.
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		if (!this.#server)
+			return Promise.resolve();
+
+		let server = this.#server;
+
+		this.#server = null;
+		this.url = null;
+
+		for (const socket of this.#sockets)
+			socket.destroy();
+
+		return new Promise(resolve => server.close(() => resolve()));
+	}
+
+	/**
+	 * Replaces the response of a route. The last scripted response of a route wins over the previous ones,
+	 * and the route answers normally again once its `times` are used.
+	 * When the request streams (`stream: true`), an array response is sent as one event per item, and a Buffer is sent as is.
+	 * @param {String} method
+	 * @param {String} path A path like `/engines/:engine/completions`, without the `/v1` prefix
+	 * @param {Object|Array|Function} response The body, or a function receiving the request (with its `params`) and returning the body
+	 * @param {Object} [options={}]
+	 * @param {Number} [options.status=200]
+	 * @param {Object} [options.headers={}]
+	 * @param {Number} [options.delay=0] Milliseconds to wait before responding, on top of the latency of the server
+	 * @param {Number} [options.times=Infinity] How many requests get this response
+	 * @returns {FakeServer}
+	 * @example
+	 * server.respond('POST', '/answers', ({ body }) => ({answers: [body.question.toUpperCase()]}), {times: 1});
+	 */
+	respond(method, path, response, options = {}) {
+		assert.strictEqual(typeof method, 'string', 'method must be a string');
+		assert.strictEqual(typeof path, 'string', 'path must be a string');
+		assert.ok(response !== undefined, 'response is required');
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+
+		let { status = 200, headers = {}, delay = 0, times = Infinity } = options;
+
+		this.#scripts.unshift({method: method.toUpperCase(), route: routeOf(path), status, headers, delay, times, response});
+
+		return this;
+	}
+
+	/**
+	 * Makes a route fail, with an error shaped like the ones of the API.
+	 * @param {String} method
+	 * @param {String} path A path like `/engines/:engine/completions`, without the `/v1` prefix
+	 * @param {Object} [options={}]
+	 * @param {Number} [options.status=500]
+	 * @param {String} [options.message]
+	 * @param {String} [options.type] The error type, derived from the status by default
+	 * @param {String} [options.code=null]
+	 * @param {Number} [options.retryAfter] Seconds sent in the Retry-After header
+	 * @param {Boolean} [options.disconnect=false] Closes the connection without responding instead
+	 * @param {Number} [options.delay=0] Milliseconds to wait before failing
+	 * @param {Number} [options.times=1] How many requests fail
+	 * @returns {FakeServer}
+	 * @example
+	 * server.fail('POST', '/engines/:engine/completions', {status: 429, retryAfter: 1, times: 2});
+	 */
+	fail(method, path, options = {}) {
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+
+		let { status = 500, message = `Fake error ${status}`, type = error_types[status] || 'server_error', code = null, retryAfter, disconnect = false, delay = 0, times = 1 } = options;
+
+		this.respond(method, path, {error: {message, type, param: null, code}}, {
+			status,
+			headers: retryAfter !== undefined ? {'Retry-After': String(retryAfter)} : {},
+			delay,
+			times
+		});
+
+		this.#scripts[0].disconnect = disconnect;
+
+		return this;
+	}
+
+	/**
+	 * The requests received on a route, optionally holding the given body fields.
+	 * @param {String} method
+	 * @param {String} path A path like `/files/:file`, without the `/v1` prefix
+	 * @param {Object} [body] Fields the body must hold, nested objects included
+	 * @returns {Array<Object>}
+	 */
+	requestsTo(method, path, body) {
+		let route = routeOf(path);
+
+		return this.requests.filter(request => request.method === method.toUpperCase() && route.test(request.path) && (body === undefined || matches(request.body, body)));
+	}
+
+	/**
+	 * Throws an AssertionError listing the received requests when none matches.
+	 * @param {String} method
+	 * @param {String} path
+	 * @param {Object} [body] Fields the body must hold, nested objects included
+	 * @returns {Object} The last matching request
+	 */
+	assertRequested(method, path, body) {
+		let found = this.requestsTo(method, path, body);
+
+		if (found.length === 0) {
+			let received = this.requests.map(request => `  ${request.method} ${request.path} ${JSON.stringify(request.body)}`).join('\n') || '  nothing';
+
+			assert.fail(`expected ${method.toUpperCase()} ${path}${body === undefined ? '' : ` with ${JSON.stringify(body)}`}, received:\n${received}`);
+		}
+
+		return found[found.length - 1];
+	}
+
+	/**
+	 * Forgets the requests, scripted responses and uploaded files.
+	 * @returns {FakeServer}
+	 */
+	reset() {
+		this.requests = [];
+		this.files.clear();
+		this.#scripts = [];
+
+		return this;
+	}
+
+	async #handle(req, res) {
+		let chunks = [];
+
+		try {
+			for await (const chunk of req)
+				chunks.push(chunk);
+		} catch (err) {
+			// The client cancelled the request before sending its whole body, so there is no one to answer.
+			return;
+		}
+
+		let url = new URL(req.url, 'http://localhost');
+		let request = {
+			method: req.method,
+			path: url.pathname.replace(/^\/v1/, ''),
+			query: Object.fromEntries(url.searchParams),
+			headers: req.headers,
+			body: {}
+		};
+
+		let buffer = Buffer.concat(chunks);
+		let type = req.headers['content-type'] || '';
+
+		try {
+			if (type.startsWith('multipart/form-data'))
+				request.body = parseMultipart(buffer, /boundary=(.+)$/.exec(type)[1]);
+			else if (buffer.length > 0)
+				request.body = JSON.parse(buffer.toString());
+		} catch (err) {
+			request.body = buffer.toString();
+			this.requests.push(request);
+
+			return this.#send(res, 400, {error: {message: `Invalid body: ${err.message}`, type: 'invalid_request_error', param: null, code: null}});
+		}
+
+		this.requests.push(request);
+
+		if (this.latency)
+			await sleep(this.latency);
+
+		if (this.apiKey && req.headers.authorization !== `Bearer ${this.apiKey}`)
+			return this.#send(res, 401, {error: {message: 'Incorrect API key provided.', type: 'invalid_request_error', param: null, code: 'invalid_api_key'}});
+
+		let script = this.#scripts.find(script => script.times > 0 && script.method === request.method && script.route.test(request.path));
+
+		try {
+			if (script) {
+				script.times--;
+				request.params = {...script.route.exec(request.path).groups};
+
+				if (script.delay)
+					await sleep(script.delay);
+
+				if (script.disconnect)
+					return req.socket.destroy();
+
+				let body = typeof script.response === 'function' ? await script.response(request) : script.response;
+
+				return this.#send(res, script.status, body, script.headers, request.body.stream && Array.isArray(body));
+			}
+
+			let route = this.#routes.find(route => route.method === request.method && route.route.test(request.path));
+
+			if (!route)
+				throw Object.assign(new Error(`Unknown request URL: ${request.method} /v1${request.path}`), {status: 404});
+
+			request.params = {...route.route.exec(request.path).groups};
+
+			let body = await route.handler(request);
+
+			this.#send(res, 200, body, {}, request.body.stream && Array.isArray(body));
+		} catch (err) {
+			this.#send(res, err.status || 500, {error: {message: err.message, type: error_types[err.status] || 'server_error', param: err.param || null, code: null}});
+		}
+	}
+
+	#send(res, status, body, headers = {}, stream = false) {
+		if (stream) {
+			res.writeHead(status, {...headers, 'Content-Type': 'text/event-stream'});
+
+			for (const event of body)
+				res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+			return res.end('data: [DONE]\n\n');
+		}
+
+		if (Buffer.isBuffer(body)) {
+			res.writeHead(status, {...headers, 'Content-Type': 'application/octet-stream'});
+
+			return res.end(body);
+		}
+
+		res.writeHead(status, {...headers, 'Content-Type': 'application/json'});
+		res.end(JSON.stringify(body));
+	}
+
+	#id(prefix) {
+		return `${prefix}-${++this.#next_id}`;
+	}
+
+	#invalid(message, param = null) {
+		return Object.assign(new Error(message), {status: 400, param});
+	}
+
+	#page(items, query) {
+		let start = query.after ? items.findIndex(item => item.id === query.after) + 1 : 0;
+		let end = query.limit ? start + Number(query.limit) : items.length;
+
+		return {object: 'list', data: items.slice(start, end), has_more: end < items.length};
+	}
+
+	#engine(id) {
+		if (!this.engines.includes(id))
+			throw Object.assign(new Error(`No such engine: ${id}`), {status: 404});
+
+		return {id, object: 'engine', owner: 'openai', ready: true};
+	}
+
+	#file(id, content = false) {
+		let file = this.files.get(id);
+
+		if (!file)
+			throw Object.assign(new Error(`No such File object: ${id}`), {status: 404});
+
+		if (content)
+			return file;
+
+		let { content: _, ...metadata } = file;
+
+		return metadata;
+	}
+
+	/**
+	 * The documents of a search, classification or answer, given in the body or as an uploaded file.
+	 * @private
+	 */
+	#documentsOf(body, field) {
+		if (body[field])
+			return body[field];
+
+		if (!body.file)
+			throw this.#invalid(`You must provide either '${field}' or 'file'.`, field);
+
+		return recordsOf(this.#file(body.file, true));
+	}
+
+	#delete(id) {
+		this.#file(id);
+		this.files.delete(id);
+
+		return {id, object: 'file', deleted: true};
+	}
+
+	#complete({ params, body }) {
+		let single = !Array.isArray(body.prompt) || typeof body.prompt[0] === 'number';
+		let prompts = single ? [body.prompt === undefined ? '<|endoftext|>' : body.prompt] : body.prompt;
+		let { max_tokens = 16, n = 1 } = body;
+		let id = this.#id('cmpl');
+		let created = Math.floor(Date.now() / 1000);
+
+		// The completion repeats the same token, so the tokens it uses are known.
+		let choices = prompts.flatMap((prompt, p) => Array.from({length: n}, (_, i) => ({
+			text: (body.echo ? (typeof prompt === 'string' ? prompt : gpt3encoder.decode(prompt)) : '') + ' test'.repeat(max_tokens),
+			index: p * n + i,
+			logprobs: null,
+			finish_reason: 'length'
+		})));
+
+		if (body.stream) {
+			return choices.flatMap(choice => Array.from({length: max_tokens}, (_, token) => ({
+				id,
+				object: 'text_completion',
+				created,
+				model: params.engine,
+				choices: [{text: ' test', index: choice.index, logprobs: null, finish_reason: token === max_tokens - 1 ? 'length' : null}]
+			})));
+		}
+
+		let prompt_tokens = prompts.reduce((sum, prompt) => sum + (typeof prompt === 'string' ? gpt3encoder.encode(prompt).length : prompt.length), 0);
+
+		return {
+			id,
+			object: 'text_completion',
+			created,
+			model: params.engine,
+			choices,
+			usage: {prompt_tokens, completion_tokens: choices.length * max_tokens, total_tokens: prompt_tokens + choices.length * max_tokens}
+		};
+	}
+
+	#search({ body }) {
+		let documents = this.#documentsOf(body, 'documents').map(document => typeof document === 'string' ? {text: document} : document);
+
+		return {
+			object: 'list',
+			data: documents.slice(0, body.file ? body.max_rerank || 200 : documents.length).map((document, index) => ({
+				object: 'search_result',
+				document: index,
+				score: scoreOf(body.query, document.text),
+				...(body.return_metadata && document.metadata !== undefined ? {metadata: document.metadata} : {})
+			}))
+		};
+	}
+
+	#embed({ params, body }) {
+		let inputs = [].concat(body.input);
+
+		// Each dimension counts the characters falling in it, so similar texts get close vectors.
+		let vectorOf = text => {
+			let vector = new Array(16).fill(0);
+
+			for (const character of String(text).toLowerCase())
+				vector[character.charCodeAt(0) % 16]++;
+
+			let norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+
+			return vector.map(value => value / norm);
+		};
+
+		return {object: 'list', model: params.engine, data: inputs.map((input, index) => ({object: 'embedding', index, embedding: vectorOf(input)}))};
+	}
+
+	#classify({ body }) {
+		let examples = this.#documentsOf(body, 'examples').map(example => Array.isArray(example) ? {text: example[0], label: example[1]} : example);
+
+		let ranked = examples
+			.map((example, document) => ({document, label: example.label, text: example.text, score: scoreOf(body.query, example.text)}))
+			.sort((a, b) => b.score - a.score)
+			.slice(0, body.max_examples || 200);
+
+		if (ranked.length === 0)
+			throw this.#invalid('No examples to classify with.', 'examples');
+
+		return {
+			completion: this.#id('cmpl'),
+			label: ranked[0].label,
+			model: body.model,
+			object: 'classification',
+			search_model: body.search_model || 'ada',
+			selected_examples: ranked.map(({ score, ...example }) => example)
+		};
+	}
+
+	#answer({ body }) {
+		let documents = this.#documentsOf(body, 'documents').map(document => typeof document === 'string' ? {text: document} : document);
+
+		let ranked = documents
+			.map((document, index) => ({document: index, text: document.text, score: scoreOf(body.question, document.text)}))
+			.sort((a, b) => b.score - a.score)
+			.slice(0, body.max_rerank || 200);
+
+		return {
+			answers: Array.from({length: body.n || 1}, () => ranked.length > 0 ? ranked[0].text : ''),
+			completion: this.#id('cmpl'),
+			model: body.model,
+			object: 'answer',
+			search_model: body.search_model || 'ada',
+			selected_documents: ranked.map(({ score, ...document }) => document)
+		};
+	}
+
+	#upload({ body }) {
+		if (!body.file || typeof body.file !== 'object')
+			throw this.#invalid('Missing file.', 'file');
+
+		if (!body.purpose)
+			throw this.#invalid('Missing purpose.', 'purpose');
+
+		let file = {
+			id: this.#id('file'),
+			object: 'file',
+			bytes: Buffer.byteLength(body.file.content),
+			created_at: Math.floor(Date.now() / 1000),
+			filename: body.file.filename,
+			purpose: body.purpose,
+			status: 'processed',
+			status_details: null,
+			content: body.file.content
+		};
+
+		this.files.set(file.id, file);
+
+		return this.#file(file.id);
+	}
+}
+
+module.exports = FakeServer;
@@ -0,0 +1,374 @@
+const OpenAI = require('.');
+const { schemas } = require('./utils/schemas');
+
+const usage = `Usage: openai-nodejs <command> [arguments] [options]
+
+Commands:
+  engines list                      Lists the available engines
+  engines get <engine>              Retrieves an engine
+  complete [prompt]                 Completes the prompt, read from stdin when missing or "-"
+  search <query>                    Ranks --documents (repeatable) or a --file against the query
+  classify <query>                  Classifies the query with --examples or a --file
+  answer <question>                 Answers the question with --examples and --examples-context
+  files list                        Lists the uploaded files
+  files get <file>                  Retrieves a file
+  files upload <path> --purpose <p> Uploads a file, checked first with --validate
+  files delete <file>               Deletes a file
+  tokens count <text>               Counts the tokens of a text
+  tokens encode <text>              Encodes a text into token ids
+  tokens decode <id...>             Decodes token ids into text
+
+Options:
+  --key <key>                       API key, defaults to $OPENAI_API_KEY
+  --organization <id>               Organization, defaults to $OPENAI_ORGANIZATION
+  --engine <engine>                 Engine, defaults to $OPENAI_ENGINE or davinci
+  --base-url <url>                  API URL, defaults to $OPENAI_BASE_URL
+  --json                            Prints the responses as JSON, one line per streamed chunk
+  --no-stream                       Waits for the whole completion instead of streaming it
+  --body <json>                     Request body, merged with the body options
+  --help                            Shows this message
+
+Any other option is a body parameter, --max-tokens 5 being sent as {"max_tokens": 5}.
+`;
+
+const commands = {
+	complete: 'completion',
+	search: 'search',
+	classify: 'classification',
+	answer: 'answer'
+};
+
+const flags = ['key', 'organization', 'engine', 'base-url', 'json', 'stream', 'body', 'help', 'purpose', 'validate'];
+
+// Options taking no value: the flags above and the boolean fields of the bodies.
+const switches = ['json', 'stream', 'help', 'validate', ...new Set(Object.values(commands).flatMap(name => Object.entries(schemas[name].fields)
+	.filter(([, rule]) => rule.type === 'boolean')
+	.map(([field]) => field.replace(/_/g, '-'))))];
+
+class UsageError extends Error {}
+
+/**
+ * Splits the arguments into positionals and options. Options given more than once are collected in an array.
+ * @param {Array<String>} argv
+ * @param {Array<String>} booleans Options taking no value, which `--no-<option>` sets to false
+ * @returns {{positionals: Array<String>, options: Object}}
+ * @private
+ */
+function parseArgs(argv, booleans) {
+	let positionals = [];
+	let options = {};
+
+	for (let i = 0; i < argv.length; i++) {
+		let arg = argv[i];
+
+		if (arg === '--') {
+			positionals.push(...argv.slice(i + 1));
+			break;
+		}
+
+		if (!arg.startsWith('--') || arg === '-') {
+			positionals.push(arg);
+			continue;
+		}
+
+		let [name, value] = arg.slice(2).split(/=(.*)/s);
+
+		if (value === undefined) {
+			if (booleans.includes(name)) {
+				value = true;
+			} else if (name.startsWith('no-') && booleans.includes(name.slice(3))) {
+				name = name.slice(3);
+				value = false;
+			} else if (i + 1 < argv.length) {
+				value = argv[++i];
+			} else {
+				throw new UsageError(`--${name} needs a value`);
+			}
+		}
+
+		options[name] = name in options ? [].concat(options[name], value) : value;
+	}
+
+	return {positionals, options};
+}
+
+/**
+ * Turns the text of an option into the value its field expects.
+ * @param {Object} rule The rule of the field in its schema, if known
+ * @param {String|Boolean|Array<String>} value
+ * @returns {*}
+ * @private
+ */
+function coerce(rule, value) {
+	let types = [].concat(rule.type);
+
+	if (Array.isArray(value))
+		return types.includes('array') ? value.map(item => coerce(rule.items || {}, item)) : coerce(rule, value[value.length - 1]);
+
+	if (typeof value !== 'string' || (types.includes('string') && !value.startsWith('[')))
+		return value;
+
+	let parsed;
+
+	try {
+		parsed = JSON.parse(value);
+	} catch {
+		// A plain word given once for a list is its only item.
+		return types.length === 1 && types[0] === 'array' ? [value] : value;
+	}
+
+	if (types.includes('array') && !Array.isArray(parsed))
+		return [coerce(rule.items || {}, value)];
+
+	return parsed;
+}
+
+/**
+ * Builds the body of a request from `--body` and the remaining options.
+ * @param {String} name The schema of the body
+ * @param {Object} options
+ * @returns {Object}
+ * @private
+ */
+function bodyOf(name, options) {
+	let body = {};
+
+	if (options.body !== undefined) {
+		try {
+			body = JSON.parse([].concat(options.body).pop());
+		} catch (err) {
+			throw new UsageError(`--body must be JSON: ${err.message}`);
+		}
+	}
+
+	for (const [option, value] of Object.entries(options)) {
+		if (flags.includes(option))
+			continue;
+
+		let field = option.replace(/-/g, '_');
+
+		body[field] = coerce(schemas[name].fields[field] || {}, value);
+	}
+
+	return body;
+}
+
+function readStream(input) {
+	return new Promise((resolve, reject) => {
+		let chunks = [];
+
+		input.on('data', chunk => chunks.push(Buffer.from(chunk)));
+		input.on('end', () => resolve(Buffer.concat(chunks).toString()));
+		input.on('error', reject);
+	});
+}
+
+function format(value) {
+	return Object.entries(value)
+		.map(([key, field]) => `${key}: ${field !== null && typeof field === 'object' ? JSON.stringify(field) : field}`)
+		.join('\n');
+}
+
+/**
+ * Runs a command of the command-line interface.
+ * @param {Array<String>} argv The arguments, without the node and script paths
+ * @param {Object} [io={}]
+ * @param {Object} [io.env=process.env]
+ * @param {stream.Readable} [io.stdin=process.stdin]
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ * @param {ClientOptions} [io.options={}] Options of the client
+ * @returns {Promise<Number>} The exit code: 0 on success, 1 when the request fails and 2 for a wrong usage
+ * @private
+ */
+async function run(argv, { env = process.env, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, options: client_options = {} } = {}) {
+	let print = value => stdout.write(`${value}\n`);
+
+	try {
+		let { positionals: [command, ...args], options } = parseArgs(argv, switches);
+		let schema = commands[command];
+
+		if (options.help || !command) {
+			stdout.write(usage);
+
+			return options.help ? 0 : 2;
+		}
+
+		let unknown = Object.keys(options).find(option => !flags.includes(option) && !schema);
+
+		if (unknown)
+			throw new UsageError(`unknown option --${unknown}`);
+
+		let output = value => print(options.json ? JSON.stringify(value, null, 2) : value);
+
+		let client = () => {
+			let key = options.key || env.OPENAI_API_KEY;
+
+			if (!key)
+				throw new UsageError('an API key is required, set OPENAI_API_KEY or pass --key');
+
+			let base_url = options['base-url'] || env.OPENAI_BASE_URL;
+
+			return new OpenAI(key, options.organization || env.OPENAI_ORGANIZATION || null, options.engine || env.OPENAI_ENGINE || 'davinci', {
+				...(base_url ? {baseURL: base_url} : {}),
+				...client_options
+			});
+		};
+
+		let expect = (count, syntax) => {
+			if (args.length < count)
+				throw new UsageError(`usage: openai-nodejs ${command} ${syntax}`);
+		};
+
+		switch (command) {
+			case 'engines': {
+				if (args[0] === 'list') {
+					let engines = await client().getEngines();
+
+					output(options.json ? engines : engines.map(engine => engine.id).join('\n'));
+				} else if (args[0] === 'get') {
+					expect(2, 'get <engine>');
+
+					let engine = await client().getEngine(args[1]);
+
+					output(options.json ? engine : format(engine));
+				} else {
+					throw new UsageError('usage: openai-nodejs engines list|get');
+				}
+
+				break;
+			}
+
+			case 'complete': {
+				if (args[0] === undefined && stdin.isTTY)
+					throw new UsageError('usage: openai-nodejs complete <prompt>, or the prompt on stdin');
+
+				let prompt = args[0] === undefined || args[0] === '-' ? await readStream(stdin) : args.join(' ');
+				let body = bodyOf(schema, options);
+
+				if (options.stream === false) {
+					let completion = await client().complete(prompt, body);
+
+					output(options.json ? completion : completion.choices.map(choice => choice.text).join('\n'));
+					break;
+				}
+
+				for await (const chunk of client().completeStream(prompt, body)) {
+					if (options.json)
+						print(JSON.stringify(chunk));
+					else
+						stdout.write(chunk.choices.map(choice => choice.text).join(''));
+				}
+
+				if (!options.json)
+					print('');
+
+				break;
+			}
+
+			case 'search': {
+				expect(1, '<query> --documents <document>...');
+
+				let body = bodyOf(schema, options);
+				let results = await client().search(args.join(' '), body);
+
+				output(options.json ? results : results
+					.sort((a, b) => b.score - a.score)
+					.map(result => `${result.score.toFixed(3)}\t${body.documents ? body.documents[result.document] : result.document}`)
+					.join('\n'));
+				break;
+			}
+
+			case 'classify': {
+				expect(1, '<query> --examples <json> --labels <label>...');
+
+				let classification = await client().classificate(args.join(' '), bodyOf(schema, options));
+
+				output(options.json ? classification : classification.label);
+				break;
+			}
+
+			case 'answer': {
+				expect(1, '<question> --examples <json> --examples-context <text> --documents <document>...');
+
+				let answer = await client().answer(args.join(' '), bodyOf(schema, options));
+
+				output(options.json ? answer : answer.answers.join('\n'));
+				break;
+			}
+
+			case 'files': {
+				if (args[0] === 'list') {
+					let files = await client().getFiles();
+
+					output(options.json ? files : files.map(file => `${file.id}\t${file.purpose}\t${file.filename}`).join('\n'));
+				} else if (args[0] === 'get') {
+					expect(2, 'get <file>');
+
+					let file = await client().getFile(args[1]);
+
+					output(options.json ? file : format(file));
+				} else if (args[0] === 'upload') {
+					expect(2, 'upload <path> --purpose <purpose>');
+
+					if (!options.purpose)
+						throw new UsageError('--purpose is required: search, answers, classifications or fine-tune');
+
+					let file = await client().uploadFile({path: args[1]}, options.purpose, {validate: Boolean(options.validate)});
+
+					output(options.json ? file : file.id);
+				} else if (args[0] === 'delete') {
+					expect(2, 'delete <file>');
+
+					let deleted = await client().deleteFile(args[1]);
+
+					output(options.json ? deleted : `${deleted.id} deleted`);
+				} else {
+					throw new UsageError('usage: openai-nodejs files list|get|upload|delete');
+				}
+
+				break;
+			}
+
+			case 'tokens': {
+				// Tokens are counted locally, so no API key is needed.
+				let tokenizer = new OpenAI(options.key || env.OPENAI_API_KEY || '');
+
+				if (args[0] === 'count') {
+					expect(2, 'count <text>');
+					output(tokenizer.tokens(args.slice(1).join(' ')));
+				} else if (args[0] === 'encode') {
+					expect(2, 'encode <text>');
+
+					let ids = tokenizer.encode(args.slice(1).join(' '));
+
+					output(options.json ? ids : ids.join(' '));
+				} else if (args[0] === 'decode') {
+					expect(2, 'decode <id...>');
+
+					let ids = args.slice(1).join(' ').split(/[\s,]+/).filter(Boolean).map(Number);
+
+					if (ids.some(id => !Number.isInteger(id)))
+						throw new UsageError('token ids must be integers');
+
+					output(tokenizer.decode(ids));
+				} else {
+					throw new UsageError('usage: openai-nodejs tokens count|encode|decode');
+				}
+
+				break;
+			}
+
+			default:
+				throw new UsageError(`unknown command "${command}", see openai-nodejs --help`);
+		}
+
+		return 0;
+	} catch (err) {
+		stderr.write(`openai-nodejs: ${err.message}\n`);
+
+		return err instanceof UsageError ? 2 : 1;
+	}
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,735 @@
+/// <reference types="node" />
+
+import { Readable } from 'stream';
+import * as http from 'http';
+import * as https from 'https';
+
+/**
+ * Type declarations of the client, kept in sync with the JSDoc of `src/index.js`
+ * and, for the bodies, with the schemas of `src/utils/schemas.js`.
+ */
+declare class OpenAI {
+	/**
+	 * @param key API key
+	 * @param organization Organization ID
+	 * @param engine The engine you will use in your requests
+	 * @param options Transport options of this client
+	 */
+	constructor(key: string, organization?: string | null, engine?: string, options?: OpenAI.ClientOptions);
+
+	/** The engine used when a call does not give one. */
+	engine: string;
+
+	use(middleware: OpenAI.Middleware): this;
+
+	getEngines(options?: OpenAI.ListOptions): OpenAI.List<OpenAI.Engine>;
+	getEngine(engine: string, options?: OpenAI.RequestOptions): Promise<OpenAI.Engine>;
+
+	complete(prompt: OpenAI.Prompt, body: OpenAI.CompletionBody & {stream: true}, options?: OpenAI.RequestOptions): Promise<AsyncGenerator<OpenAI.Completion>>;
+	complete(prompt: OpenAI.Prompt, body?: OpenAI.CompletionBody, options?: OpenAI.RequestOptions): Promise<OpenAI.Completion>;
+	completeStream(prompt: OpenAI.Prompt, body?: OpenAI.CompletionBody, options?: OpenAI.RequestOptions): AsyncGenerator<OpenAI.Completion>;
+
+	search(query: string, body?: OpenAI.SearchBody, options?: OpenAI.RequestOptions): Promise<OpenAI.Search[]>;
+	classificate(query: string, body?: OpenAI.ClassificationBody, options?: OpenAI.RequestOptions): Promise<OpenAI.Classification>;
+	answer(question: string, body: OpenAI.AnswerBody, options?: OpenAI.RequestOptions): Promise<OpenAI.Answer>;
+
+	embed(input: string, body?: OpenAI.EmbeddingBody, options?: OpenAI.RequestOptions): Promise<number[]>;
+	embed(input: string[], body?: OpenAI.EmbeddingBody, options?: OpenAI.RequestOptions): Promise<number[][]>;
+
+	getFiles(options?: OpenAI.ListOptions): OpenAI.List<OpenAI.File>;
+	getFile(fileId: string, options?: OpenAI.RequestOptions): Promise<OpenAI.File>;
+	deleteFile(fileId: string, options?: OpenAI.RequestOptions): Promise<OpenAI.DeletedFile>;
+	downloadFile(fileId: string, options?: OpenAI.RequestOptions): Promise<Readable>;
+	downloadRecords<T = Record<string, any>>(fileId: string, options?: OpenAI.RequestOptions): Promise<T[]>;
+	waitForFile(fileId: string, options?: OpenAI.WaitOptions<OpenAI.File>): Promise<OpenAI.File>;
+	uploadFile(file: OpenAI.UploadContent, purpose: OpenAI.FilePurpose, options?: OpenAI.UploadOptions): Promise<OpenAI.File>;
+	validateFile(file: string | Buffer | Readable, purpose: OpenAI.FilePurpose): Promise<OpenAI.FileValidation>;
+	validateBody(type: OpenAI.SchemaName, body: object): OpenAI.BodyValidation;
+
+	createFineTune(trainingFile: string, body?: OpenAI.FineTuneBody, options?: OpenAI.RequestOptions): Promise<OpenAI.FineTune>;
+	getFineTunes(options?: OpenAI.ListOptions): OpenAI.List<OpenAI.FineTune>;
+	getFineTune(fineTuneId: string, options?: OpenAI.RequestOptions): Promise<OpenAI.FineTune>;
+	cancelFineTune(fineTuneId: string, options?: OpenAI.RequestOptions): Promise<OpenAI.FineTune>;
+	getFineTuneEvents(fineTuneId: string, options?: OpenAI.ListOptions): OpenAI.List<OpenAI.FineTuneEvent>;
+	followFineTuneEvents(fineTuneId: string, options?: OpenAI.RequestOptions): AsyncGenerator<OpenAI.FineTuneEvent>;
+	waitForFineTune(fineTuneId: string, options?: OpenAI.WaitOptions<OpenAI.FineTune>): Promise<OpenAI.FineTune>;
+
+	getUsage(): OpenAI.UsageReport;
+	resetUsage(): OpenAI.UsageReport;
+	getBudget(): OpenAI.BudgetReport | null;
+	getQueue(): OpenAI.QueueStats | null;
+
+	encode(text: string): number[];
+	decode(encoded_text: number[]): string;
+	tokens(text: string): number;
+	tokens(text: string[]): number[];
+	tokenize(text: string): OpenAI.Token[];
+	truncate(text: string, maxTokens: number): string;
+	biasFor(options: OpenAI.BiasOptions): OpenAI.LogitBias;
+}
+
+declare namespace OpenAI {
+	/* Options */
+
+	interface ClientOptions {
+		/** The URL the requests are sent to, `https://api.openai.com/v1` by default. */
+		baseURL?: string;
+		/** Milliseconds before a request times out, 0 means no timeout. */
+		timeout?: number;
+		/** Headers sent with every request. */
+		headers?: Record<string, string>;
+		httpAgent?: http.Agent;
+		httpsAgent?: https.Agent;
+		/** When and how failed requests are sent again, disabled by default. */
+		retry?: RetryPolicy;
+		/** Caches the responses of deterministic requests. */
+		cache?: boolean | CacheOptions;
+		/** Rejects the requests that could go over a spending limit with a `BudgetExceededError`. */
+		budget?: BudgetOptions;
+		/** Queues the requests so they stay under the rate limits of the account. */
+		rateLimit?: RateLimitOptions;
+		/** What happens with the body keys the API does not know, `error` by default. */
+		unknownKeys?: 'error' | 'warn' | 'ignore';
+		/** Dollars per 1000 tokens by engine, merged with the default ones. */
+		prices?: Record<string, number>;
+		/** Replaces axios, receiving an axios request config. */
+		transport?: (config: TransportRequest) => Promise<TransportResponse>;
+	}
+
+	interface TransportRequest {
+		method: 'GET' | 'POST' | 'DELETE';
+		baseURL: string;
+		url: string;
+		headers: Record<string, string>;
+		params?: Record<string, any>;
+		data?: any;
+		timeout: number;
+		responseType?: 'stream';
+		signal: AbortSignalLike;
+	}
+
+	interface TransportResponse<T = any> {
+		status: number;
+		headers: Record<string, string>;
+		data: T;
+	}
+
+	interface RetryPolicy {
+		retries?: number;
+		minDelay?: number;
+		maxDelay?: number;
+		factor?: number;
+		jitter?: boolean;
+		statusCodes?: number[];
+		networkErrors?: boolean;
+		shouldRetry?: (error: RequestError, attempt: number) => boolean | undefined;
+		onRetry?: (retry: {endpoint: string, attempt: number, delay: number, error: RequestError}) => void;
+	}
+
+	interface CacheStore {
+		get(key: string): any | Promise<any>;
+		set(key: string, value: any, ttl: number): void | Promise<void>;
+		delete(key: string): void | Promise<void>;
+	}
+
+	interface CacheOptions {
+		store?: CacheStore;
+		ttl?: number;
+	}
+
+	interface BudgetOptions {
+		tokens?: number;
+		dollars?: number;
+		/** Milliseconds the spending is counted for, 0 for the whole life of the client. */
+		window?: number;
+	}
+
+	interface RateLimitOptions {
+		concurrency?: number;
+		requestsPerMinute?: number;
+		tokensPerMinute?: number;
+	}
+
+	/** An `AbortSignal`, or any object with the same `aborted` flag and listener methods. */
+	interface AbortSignalLike {
+		readonly aborted: boolean;
+		readonly reason?: any;
+		addEventListener(type: 'abort', listener: () => void, options?: {once?: boolean}): void;
+		removeEventListener(type: 'abort', listener: () => void): void;
+	}
+
+	type FitStrategy = 'truncate-start' | 'truncate-end' | 'shrink-max-tokens' | 'error';
+
+	interface RequestOptions {
+		engine?: string;
+		headers?: Record<string, string>;
+		organization?: string;
+		idempotencyKey?: string;
+		retry?: boolean;
+		cache?: boolean;
+		signal?: AbortSignalLike;
+		timeout?: number;
+		fit?: FitStrategy;
+		onFit?: (report: FitReport) => void;
+		priority?: number;
+	}
+
+	interface FitReport {
+		engine: string;
+		context_window: number;
+		strategy: FitStrategy;
+		max_tokens: number;
+		original_max_tokens: number;
+		trimmed: Array<{index: number, tokens: number, text: string}>;
+	}
+
+	interface ListOptions {
+		limit?: number;
+		after?: string;
+		signal?: AbortSignalLike;
+		timeout?: number;
+	}
+
+	interface WaitOptions<T> {
+		interval?: number;
+		timeout?: number;
+		signal?: AbortSignalLike;
+		onUpdate?: (object: T) => void;
+	}
+
+	interface UploadProgress {
+		loaded: number;
+		total: number | null;
+	}
+
+	interface UploadOptions extends RequestOptions {
+		filename?: string;
+		validate?: boolean;
+		onProgress?: (progress: UploadProgress) => void;
+	}
+
+	type FilePurpose = 'search' | 'answers' | 'classifications' | 'fine-tune';
+
+	type UploadContent = string | Buffer | Array<Record<string, any>> | Readable | {path: string};
+
+	/* Middlewares */
+
+	interface MiddlewareContext {
+		endpoint: string;
+		method: 'GET' | 'POST' | 'DELETE';
+		attempt: number;
+		headers: Record<string, string>;
+		body: any;
+		responseType?: 'stream';
+		signal: AbortSignalLike;
+		startedAt: number;
+		duration: number | null;
+		response: TransportResponse | null;
+		error: RequestError | null;
+	}
+
+	type Middleware = (ctx: MiddlewareContext, next: () => Promise<TransportResponse>) => Promise<void> | void;
+
+	/* Bodies */
+
+	type Prompt = string | string[] | number[] | number[][];
+
+	type LogitBias = Record<number, number>;
+
+	interface CompletionBody {
+		engine?: string;
+		max_tokens?: number;
+		temperature?: number;
+		top_p?: number;
+		n?: number;
+		stream?: boolean;
+		logprobs?: number;
+		echo?: boolean;
+		stop?: string | string[];
+		presence_penalty?: number;
+		frequency_penalty?: number;
+		best_of?: number;
+		logit_bias?: LogitBias;
+		user?: string;
+	}
+
+	interface SearchBody {
+		engine?: string;
+		documents?: string[];
+		file?: string;
+		max_rerank?: number;
+		return_metadata?: boolean;
+		user?: string;
+	}
+
+	interface ClassificationBody {
+		model?: string;
+		examples?: Array<[string, string]>;
+		file?: string;
+		labels?: string[];
+		search_model?: string;
+		temperature?: number;
+		logprobs?: number;
+		max_examples?: number;
+		logit_bias?: LogitBias;
+		return_prompt?: boolean;
+		return_metadata?: boolean;
+		expand?: string[];
+		user?: string;
+	}
+
+	interface AnswerBody {
+		model?: string;
+		examples: Array<[string, string]>;
+		examples_context: string;
+		documents?: string[];
+		file?: string;
+		search_model?: string;
+		max_rerank?: number;
+		temperature?: number;
+		logprobs?: number;
+		max_tokens?: number;
+		stop?: string | string[];
+		n?: number;
+		logit_bias?: LogitBias;
+		return_metadata?: boolean;
+		return_prompt?: boolean;
+		expand?: string[];
+		user?: string;
+	}
+
+	interface FineTuneBody {
+		validation_file?: string;
+		model?: string;
+		n_epochs?: number;
+		batch_size?: number;
+		learning_rate_multiplier?: number;
+		prompt_loss_weight?: number;
+		compute_classification_metrics?: boolean;
+		classification_n_classes?: number;
+		classification_positive_class?: string;
+		classification_betas?: number[];
+		suffix?: string;
+	}
+
+	interface EmbeddingBody {
+		engine?: string;
+		user?: string;
+	}
+
+	/* Responses */
+
+	interface Engine {
+		id: string;
+		object: string;
+		created: number | null;
+		max_replicas: number | null;
+		owner: string;
+		permissions: any;
+		ready: boolean;
+		ready_replicas: any;
+	}
+
+	interface CompletionChoice {
+		text: string;
+		index: number;
+		logprobs: any | null;
+		finish_reason: string;
+	}
+
+	interface Completion {
+		id: string;
+		object: string;
+		created: number | null;
+		model: string;
+		choices: CompletionChoice[];
+		usage?: {prompt_tokens: number, completion_tokens: number, total_tokens: number};
+	}
+
+	interface Search {
+		document: number;
+		object: string;
+		score: number;
+		metadata?: string;
+	}
+
+	interface ClassificationExample {
+		document: number;
+		label: string;
+		text: string;
+	}
+
+	interface Classification {
+		completion: string | Completion;
+		label: string;
+		model: string;
+		object: string;
+		search_model: string;
+		prompt?: string;
+		selected_examples: ClassificationExample[];
+	}
+
+	interface AnswerDocument {
+		document: number;
+		text: string;
+	}
+
+	interface Answer {
+		answers: string[];
+		completion: string | Completion;
+		model: string;
+		object: string;
+		search_model: string;
+		prompt?: string;
+		selected_documents: AnswerDocument[];
+	}
+
+	interface File {
+		id: string;
+		object: string;
+		bytes: number;
+		created_at: number | null;
+		filename: string;
+		purpose: string;
+		status: string;
+		status_details: string | null;
+	}
+
+	interface DeletedFile {
+		id: string;
+		object: string;
+		deleted: boolean;
+	}
+
+	interface FineTuneEvent {
+		object: string;
+		created_at: number;
+		level: string;
+		message: string;
+	}
+
+	interface FineTune {
+		id: string;
+		object: string;
+		model: string;
+		created_at: number;
+		updated_at: number;
+		events: FineTuneEvent[];
+		fine_tuned_model: string | null;
+		hyperparams: Record<string, any>;
+		organization_id: string;
+		result_files: File[];
+		status: string;
+		validation_files: File[];
+		training_files: File[];
+	}
+
+	/* Validation */
+
+	interface FileIssue {
+		line: number;
+		message: string;
+	}
+
+	interface FileValidation {
+		valid: boolean;
+		errors: FileIssue[];
+		warnings: FileIssue[];
+		stats: {lines: number, records: number, tokens: number, max_tokens: number, labels?: Record<string, number>};
+	}
+
+	type SchemaName = 'completion' | 'search' | 'classification' | 'answer' | 'fine_tune' | 'embedding';
+
+	interface FieldRule {
+		type: string | string[];
+		required?: boolean;
+		min?: number;
+		max?: number;
+		exclusiveMin?: boolean;
+		maxLength?: number;
+		maxItems?: number;
+		items?: FieldRule;
+		check?: (value: any) => string | null;
+	}
+
+	interface Schema {
+		fields: Record<string, FieldRule>;
+		checks: Array<(body: any) => Array<{field: string, message: string}>>;
+	}
+
+	interface BodyIssue {
+		field: string | null;
+		message: string;
+	}
+
+	interface BodyValidation {
+		valid: boolean;
+		errors: BodyIssue[];
+		warnings: BodyIssue[];
+	}
+
+	/* Usage, budget and queue */
+
+	interface UsageTotals {
+		requests: number;
+		estimated_requests: number;
+		prompt_tokens: number;
+		completion_tokens: number;
+		total_tokens: number;
+		cost: number;
+	}
+
+	interface UsageReport {
+		total: UsageTotals;
+		engines: Record<string, UsageTotals>;
+	}
+
+	interface BudgetLimit {
+		limit: number;
+		spent: number;
+		remaining: number;
+	}
+
+	interface BudgetReport {
+		tokens: BudgetLimit | null;
+		dollars: BudgetLimit | null;
+		window: number;
+	}
+
+	interface QueueStats {
+		queued: number;
+		running: number;
+		requests: number;
+		tokens: number;
+		averageWait: number;
+		longestWait: number;
+	}
+
+	/* Tokenizer */
+
+	interface Token {
+		id: number;
+		text: string;
+		start: number;
+		end: number;
+	}
+
+	interface BiasOptions {
+		ban?: Array<string | number>;
+		boost?: Record<string, number>;
+		variants?: boolean;
+	}
+
+	/* Helpers */
+
+	class List<T> implements AsyncIterable<T>, PromiseLike<T[]> {
+		constructor(fetch: (params: Record<string, any>) => Promise<{data: T[], has_more?: boolean}>, params?: Record<string, any>);
+
+		pages(): AsyncGenerator<{data: T[], has_more?: boolean}>;
+		toArray(): Promise<T[]>;
+		[Symbol.asyncIterator](): AsyncIterator<T>;
+		then<R1 = T[], R2 = never>(resolve?: ((items: T[]) => R1 | PromiseLike<R1>) | null, reject?: ((reason: any) => R2 | PromiseLike<R2>) | null): Promise<R1 | R2>;
+		catch<R = never>(reject?: ((reason: any) => R | PromiseLike<R>) | null): Promise<T[] | R>;
+		finally(callback?: (() => void) | null): Promise<T[]>;
+	}
+
+	interface Similarity {
+		dot(a: number[], b: number[]): number;
+		magnitude(vector: number[]): number;
+		normalize(vector: number[]): number[];
+		cosineSimilarity(a: number[], b: number[]): number;
+		nearest(query: number[], vectors: number[][], k?: number): Array<{index: number, score: number}>;
+	}
+
+	const similarity: Similarity;
+
+	/** The schema of the body of each endpoint, used by `validateBody`. */
+	const schemas: Record<SchemaName, Schema>;
+
+	class MemoryStore implements CacheStore {
+		constructor(options?: {max?: number});
+
+		max: number;
+		readonly size: number;
+
+		get(key: string): any;
+		set(key: string, value: any, ttl?: number): void;
+		delete(key: string): void;
+		clear(): void;
+	}
+
+	class FileStore implements CacheStore {
+		constructor(options: {directory: string});
+
+		directory: string;
+
+		get(key: string): Promise<any>;
+		set(key: string, value: any, ttl?: number): Promise<void>;
+		delete(key: string): Promise<void>;
+	}
+
+	interface DocumentIndexOptions {
+		engine?: string;
+		chunkSize?: number;
+		chunkOverlap?: number;
+	}
+
+	interface IndexDocument {
+		id?: string | number;
+		text: string;
+		metadata?: Record<string, any>;
+	}
+
+	interface IndexChunk {
+		document: string | number;
+		text: string;
+		metadata: Record<string, any>;
+		vector: number[];
+	}
+
+	interface IndexResult {
+		document: string | number;
+		object: string;
+		score: number;
+		text: string;
+		metadata: Record<string, any>;
+	}
+
+	interface QueryOptions {
+		k?: number;
+		filter?: Record<string, any> | ((metadata: Record<string, any>, id: string | number) => boolean);
+		signal?: AbortSignalLike;
+		timeout?: number;
+	}
+
+	class DocumentIndex {
+		constructor(client: OpenAI, options?: DocumentIndexOptions);
+
+		engine: string | null;
+		chunkSize: number;
+		chunkOverlap: number;
+		chunks: IndexChunk[];
+		readonly size: number;
+
+		add(documents: string | IndexDocument | Array<string | IndexDocument>, options?: RequestOptions): Promise<Array<string | number>>;
+		remove(id: string | number): boolean;
+		query(query: string, options?: QueryOptions): Promise<IndexResult[]>;
+		toJSON(): {engine: string | null, chunkSize: number, chunkOverlap: number, chunks: IndexChunk[]};
+		save(path: string): Promise<void>;
+
+		static fromJSON(client: OpenAI, json: {chunks: IndexChunk[], engine?: string | null, chunkSize?: number, chunkOverlap?: number}): DocumentIndex;
+		static load(client: OpenAI, path: string): Promise<DocumentIndex>;
+	}
+
+	/* Fake server */
+
+	interface FakeServerOptions {
+		apiKey?: string;
+		latency?: number;
+		engines?: string[];
+	}
+
+	interface FakeRequest {
+		method: string;
+		path: string;
+		query: Record<string, string>;
+		headers: http.IncomingHttpHeaders;
+		body: any;
+		params?: Record<string, string>;
+	}
+
+	interface FakeResponseOptions {
+		status?: number;
+		headers?: Record<string, string>;
+		delay?: number;
+		times?: number;
+	}
+
+	interface FakeFailureOptions {
+		status?: number;
+		message?: string;
+		type?: string;
+		code?: string | null;
+		retryAfter?: number;
+		disconnect?: boolean;
+		delay?: number;
+		times?: number;
+	}
+
+	class FakeServer {
+		constructor(options?: FakeServerOptions);
+
+		apiKey: string | null;
+		latency: number;
+		engines: string[];
+		url: string | null;
+		requests: FakeRequest[];
+		files: Map<string, File & {content: string}>;
+
+		listen(port?: number): Promise<string>;
+		close(): Promise<void>;
+		respond(method: string, path: string, response: (request: FakeRequest) => any, options?: FakeResponseOptions): this;
+		respond(method: string, path: string, response: object, options?: FakeResponseOptions): this;
+		fail(method: string, path: string, options?: FakeFailureOptions): this;
+		requestsTo(method: string, path: string, body?: Record<string, any>): FakeRequest[];
+		assertRequested(method: string, path: string, body?: Record<string, any>): FakeRequest;
+		reset(): this;
+	}
+
+	/* Errors */
+
+	interface ApiError {
+		message?: string;
+		code?: string;
+		param?: string;
+		type?: string;
+	}
+
+	interface ErrorDetails {
+		status?: number;
+		headers?: Record<string, string>;
+		endpoint?: string;
+		cause?: any;
+		details?: any;
+	}
+
+	class RequestError extends Error {
+		constructor(err?: ApiError, details?: ErrorDetails);
+
+		code?: string;
+		param?: string;
+		type?: string;
+		status: number | null;
+		headers: Record<string, string>;
+		requestId: string | null;
+		endpoint: string | null;
+		cause?: any;
+		details?: any;
+
+		static from(err: any, endpoint?: string): RequestError;
+	}
+
+	class AuthenticationError extends RequestError {}
+	class PermissionError extends RequestError {}
+	class NotFoundError extends RequestError {}
+	class RateLimitError extends RequestError {}
+	class InvalidRequestError extends RequestError {}
+	class ServerError extends RequestError {}
+	class ConnectionError extends RequestError {}
+	class TimeoutError extends ConnectionError {}
+	class AbortError extends RequestError {}
+
+	class ProcessingError extends RequestError {
+		details: File | FineTune;
+	}
+
+	class ValidationError extends RequestError {
+		details: FileValidation | BodyValidation | FitReport;
+	}
+
+	class BudgetExceededError extends RequestError {
+		details: {unit: 'tokens' | 'dollars', limit: number, spent: number, estimated: number, window: number};
+	}
+}
+
+export = OpenAI;
@@ -1,17 +1,87 @@
 const gpt3encoder = require('gpt-3-encoder');
-const { typeCheck } = require('type-check');
 const FormData = require('form-data');
 
-const axios = require('axios').create({
-	baseURL: 'https://api.openai.com/v1'
-});
+const axios = require('axios');
 
 const stream = require('stream');
+const readline = require('readline');
 const assert = require('assert');
 
-const parameters = require('./utils/parameters.json');
+const { schemas, validateBody } = require('./utils/schemas');
 const RequestError = require('./utils/RequestError');
-const { ReadStream } = require('fs');
+const { readEvents, readAll } = require('./utils/eventStream');
+const { defaultPolicy, isRetryable, retryDelay } = require('./utils/retry');
+const { createSignal, abortable, sleep } = require('./utils/abort');
+const similarity = require('./utils/similarity');
+const validateFile = require('./utils/validateFile');
+const List = require('./utils/List');
+const { MemoryStore, FileStore, cacheKey, isDeterministic } = require('./utils/cache');
+const Usage = require('./utils/Usage');
+const Budget = require('./utils/Budget');
+const { fitPrompt, strategies } = require('./utils/contextWindow');
+const tokenizer = require('./utils/tokenize');
+const biasFor = require('./utils/logitBias');
+const Scheduler = require('./utils/Scheduler');
+const fs = require('fs');
+const { ReadStream, createReadStream } = fs;
+const { basename } = require('path');
+
+function parseBody(content) {
+	try {
+		return JSON.parse(content);
+	} catch (err) {
+		return content;
+	}
+}
+
+const embedding_batch_size = 100;
+
+const option_types = {
+	engine: 'string',
+	headers: 'object',
+	organization: 'string',
+	idempotencyKey: 'string',
+	retry: 'boolean',
+	cache: 'boolean',
+	signal: 'object',
+	timeout: 'number',
+	responseType: 'string',
+	fit: 'string',
+	onFit: 'function',
+	priority: 'number'
+};
+
+function assertOptions(options) {
+	assert.ok(options && typeof options === 'object', 'options must be an object');
+
+	for (const key in options) {
+		if (options[key] === undefined)
+			continue;
+
+		assert.ok(key in option_types, `unknown option ${key}`);
+		assert.strictEqual(typeof options[key], option_types[key], `${key} must be ${option_types[key] === 'object' ? 'an object' : 'a ' + option_types[key]}`);
+	}
+
+	assert.ok(options.signal ? typeof options.signal.addEventListener === 'function' : true, 'signal must be an AbortSignal');
+	assert.ok(options.fit ? strategies.includes(options.fit) : true, `fit must be one of ${strategies.join(', ')}`);
+}
+
+function trackProgress(source, total, onProgress) {
+	let loaded = 0;
+
+	let counter = new stream.Transform({
+		transform(chunk, encoding, callback) {
+			loaded += chunk.length;
+			onProgress({loaded, total});
+
+			callback(null, chunk);
+		}
+	});
+
+	stream.pipeline(source, counter, () => {});
+
+	return counter;
+}
 
 /**
  * OpenAI client library.
@@ -19,29 +89,172 @@ const { ReadStream } = require('fs');
 class OpenAI {
 	#api_key;
 	#organization_id;
+	#options;
+	#transport;
+	#middlewares = [];
+	#usage;
+	#budget = null;
+	#scheduler = null;
+
+	/**
+	 * @typedef {Object} ClientOptions
+	 * 
+	 * @property {String} [baseURL=https://api.openai.com/v1] The URL the requests are sent to.
+	 * @property {Number} [timeout=0] Milliseconds before a request times out, 0 means no timeout.
+	 * @property {Object} [headers] Headers sent with every request.
+	 * @property {http.Agent} [httpAgent] Agent used for http requests.
+	 * @property {https.Agent} [httpsAgent] Agent used for https requests.
+	 * @property {RetryPolicy} [retry] When and how failed requests are sent again, disabled by default.
+	 * @property {Boolean|CacheOptions} [cache=false] Caches the responses of deterministic requests, see {@link CacheOptions}.
+	 * @property {BudgetOptions} [budget] Rejects the requests that could go over a spending limit with a {@link BudgetExceededError} instead of sending them.
+	 * @property {RateLimitOptions} [rateLimit] Queues the requests so they stay under the rate limits of the account, disabled by default.
+	 * @property {String} [unknownKeys=error] What happens with the body keys the API does not know: `error` rejects the call with a {@link ValidationError}, `warn` emits a process warning and `ignore` sends them.
+	 * @property {Object} [prices] Dollars per 1000 tokens by engine used by {@link OpenAI#getUsage}, merged with the default ones (`{davinci: 0.06, curie: 0.006, babbage: 0.0012, ada: 0.0008}`).
+	 * @property {Function} [transport] Replaces axios: receives an axios request config (`method`, `baseURL`, `url`, `headers`, `params`, `data`, `signal`, ...) and must resolve to `{status, headers, data}`, or reject with an error carrying the same object in `response`.
+	 */
+
+	/**
+	 * Requests wait in a queue until they fit every limit, the ones with a higher `priority` first.
+	 * Each attempt of a request counts, and its tokens are estimated as its prompt plus `max_tokens * n * best_of`.
+	 * Streams leave their place to the next request once their response starts.
+	 * @typedef {Object} RateLimitOptions
+	 * 
+	 * @property {Number} [concurrency=Infinity] Maximum requests running at once.
+	 * @property {Number} [requestsPerMinute=Infinity] Maximum requests sent in any minute.
+	 * @property {Number} [tokensPerMinute=Infinity] Maximum tokens sent in any minute, a request with more tokens is sent alone.
+	 */
+
+	/**
+	 * Only deterministic requests are cached: searches, embeddings, completions with a `temperature` of 0 and
+	 * classifications or answers without temperature. Streams, uploads and other requests are always sent.
+	 * @typedef {Object} CacheOptions
+	 * 
+	 * @property {CacheStore} [store] Where the responses are kept, a {@link MemoryStore} by default.
+	 * @property {Number} [ttl=0] Milliseconds a response is kept, 0 means until the store evicts it.
+	 */
+
+	/**
+	 * @typedef {Object} RequestOptions
+	 * 
+	 * @property {String} [engine] The engine used instead of the client's one (the `model` of classifications and answers).
+	 * @property {Object} [headers] Headers added to this request only.
+	 * @property {String} [organization] The organization billed for this request instead of the client's one.
+	 * @property {String} [idempotencyKey] Sent as the `Idempotency-Key` header, so a retried request is not processed twice.
+	 * @property {Boolean} [retry=true] Whether the retry policy of the client applies to this request.
+	 * @property {Boolean} [cache=true] Whether the cache of the client applies to this request.
+	 * @property {AbortSignal} [signal] Cancels the request, which then rejects with an {@link AbortError}.
+	 * @property {Number} [timeout] Milliseconds the whole call (retries and streamed chunks included) may take before rejecting with a {@link TimeoutError}.
+	 * @property {String} [fit] What completions do when their prompt and `max_tokens` exceed the context window of the engine:
+	 * `truncate-start` or `truncate-end` remove tokens from the start or the end of the prompt, `shrink-max-tokens` lowers `max_tokens`
+	 * and `error` rejects with a {@link ValidationError} without sending the request. By default the request is sent as it is.
+	 * @property {Function} [onFit] Receives a {@link FitReport} when the prompt or `max_tokens` were changed to fit.
+	 * @property {Number} [priority=0] Requests with a higher priority leave the queue of the rate limiter first.
+	 */
+
+	/**
+	 * @typedef {Object} FitReport
+	 * 
+	 * @property {String} engine
+	 * @property {Number} context_window Tokens the engine can handle, prompt and completion together.
+	 * @property {String} strategy The `fit` option.
+	 * @property {Number} max_tokens The `max_tokens` sent.
+	 * @property {Number} original_max_tokens
+	 * @property {Array<{index: Number, tokens: Number, text: String}>} trimmed The index of each trimmed prompt, with the amount and the text of the tokens removed.
+	 */
+
+	/**
+	 * @typedef {Object} ListOptions
+	 * 
+	 * @property {Number} [limit] Maximum items of each page.
+	 * @property {String} [after] Starts the list after the item with this id.
+	 * @property {AbortSignal} [signal] Cancels the page requests.
+	 * @property {Number} [timeout] Milliseconds each page request may take.
+	 */
 
 	/**
 	 * @param {String} key API key
 	 * @param {String} [organization=null] Organization ID
 	 * @param {String} [engine=davinci] The engine you will use in your requests
+	 * @param {ClientOptions} [options={}] Transport options of this client
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY', null, 'davinci', {baseURL: 'http://localhost:8080/v1', timeout: 30000});
 	 * @see https://beta.openai.com/docs/api-reference/authentication
 	 */
-	constructor(key, organization = null, engine = 'davinci') {
+	constructor(key, organization = null, engine = 'davinci', options = {}) {
 		assert.strictEqual(typeof key, 'string', 'key must be a string');
 		assert.ok(organization ? typeof organization === 'string' : true, 'organization must be a string');
 		assert.ok(engine ? typeof engine === 'string' : true, 'engine must be a string');
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+		assert.ok(options.baseURL ? typeof options.baseURL === 'string' : true, 'options.baseURL must be a string');
+		assert.ok(options.timeout ? typeof options.timeout === 'number' : true, 'options.timeout must be a number');
+		assert.ok(options.headers ? typeof options.headers === 'object' : true, 'options.headers must be an object');
+		assert.ok(options.transport ? typeof options.transport === 'function' : true, 'options.transport must be a function');
+		assert.ok(options.retry ? typeof options.retry === 'object' : true, 'options.retry must be an object');
+		assert.ok(options.cache ? typeof options.cache === 'boolean' || typeof options.cache === 'object' : true, 'options.cache must be a boolean or an object');
+		assert.ok(options.cache && options.cache.store ? typeof options.cache.store.get === 'function' && typeof options.cache.store.set === 'function' : true, 'options.cache.store must have get and set functions');
+		assert.ok(options.prices ? typeof options.prices === 'object' : true, 'options.prices must be an object');
+		assert.ok(options.budget ? typeof options.budget === 'object' : true, 'options.budget must be an object');
+		assert.ok(options.budget ? options.budget.tokens !== undefined || options.budget.dollars !== undefined : true, 'options.budget must have a tokens or dollars limit');
+		assert.ok(options.budget && options.budget.tokens !== undefined ? typeof options.budget.tokens === 'number' && options.budget.tokens >= 0 : true, 'options.budget.tokens must be a positive number');
+		assert.ok(options.budget && options.budget.dollars !== undefined ? typeof options.budget.dollars === 'number' && options.budget.dollars >= 0 : true, 'options.budget.dollars must be a positive number');
+		assert.ok(options.budget && options.budget.window !== undefined ? Number.isInteger(options.budget.window) && options.budget.window >= 0 : true, 'options.budget.window must be a positive integer');
+		assert.ok(options.rateLimit ? typeof options.rateLimit === 'object' : true, 'options.rateLimit must be an object');
+
+		assert.ok(options.unknownKeys ? ['error', 'warn', 'ignore'].includes(options.unknownKeys) : true, 'options.unknownKeys must be error, warn or ignore');
+
+		for (const limit of ['concurrency', 'requestsPerMinute', 'tokensPerMinute'])
+			assert.ok(options.rateLimit && options.rateLimit[limit] !== undefined ? typeof options.rateLimit[limit] === 'number' && options.rateLimit[limit] > 0 : true, `options.rateLimit.${limit} must be a positive number`);
 
 		this.#api_key = key;
 		this.#organization_id = organization;
 
+		this.#options = {
+			baseURL: 'https://api.openai.com/v1',
+			timeout: 0,
+			headers: {},
+			...options,
+			retry: {...defaultPolicy, ...options.retry},
+			cache: options.cache ? {store: new MemoryStore(), ttl: 0, ...(options.cache === true ? {} : options.cache)} : null
+		};
+
+		if (this.#options.transport) {
+			this.#transport = this.#options.transport;
+		} else {
+			let instance = axios.create({
+				httpAgent: this.#options.httpAgent,
+				httpsAgent: this.#options.httpsAgent
+			});
+
+			this.#transport = ({ signal, ...config }) => {
+				if (signal) {
+					let source = axios.CancelToken.source();
+
+					signal.addEventListener('abort', () => source.cancel('Request aborted'), {once: true});
+					config.cancelToken = source.token;
+				}
+
+				return instance.request(config);
+			};
+		}
+
+		this.#usage = new Usage(options.prices);
+
+		if (options.budget)
+			this.#budget = new Budget(options.budget, engine => this.#usage.priceOf(engine));
+
+		if (options.rateLimit)
+			this.#scheduler = new Scheduler(options.rateLimit);
+
 		this.engine = engine;
 	}
 
-	_request(endpoint = '', request_content = {}, request_type = 'POST', custom_header = {}) {
+	async _request(endpoint = '', request_content = {}, request_type = 'POST', custom_header = {}, config = {}) {
 		assert.strictEqual(typeof endpoint, 'string', 'endpoint must be a string');
-		assert.strictEqual(typeof request_content, 'object', 'request_content must be an object');
+		assert.ok(typeof request_content === 'object' || typeof request_content === 'function', 'request_content must be an object or a function');
 		assert.strictEqual(typeof request_type, 'string', 'request_type must be a string');
 		assert.strictEqual(typeof custom_header, 'object', 'custom_header must be a string');
+		assertOptions(config);
 
 		request_type = request_type.toUpperCase();
 
@@ -51,20 +264,353 @@ class OpenAI {
             'Authorization': 'Bearer ' + this.#api_key,
 		}
 
-		if (this.#organization_id)
-			headers['OpenAI-Organization'] = this.#organization_id;
+		let organization = config.organization || this.#organization_id;
+
+		if (organization)
+			headers['OpenAI-Organization'] = organization;
+
+		if (config.idempotencyKey)
+			headers['Idempotency-Key'] = config.idempotencyKey;
 
 		if (request_type === 'POST')
 			headers['content-type'] = 'application/json';
 
-		headers = {...headers, ...custom_header};
+		let { retry = true, responseType } = config;
+		let policy = this.#options.retry;
+		let cache = this.#options.cache;
+		let cache_key = null;
 
-		if (request_type === 'POST')
-			return axios.post(endpoint, request_content, {headers});
-		else if (request_type === 'GET')
-			return axios.get(endpoint, {headers, params: request_content});
-		else if (request_type === 'DELETE')
-			return axios.delete(endpoint, {headers, request_content});
+		if (cache && config.cache !== false && request_type === 'POST' && typeof request_content === 'object' && !responseType && isDeterministic(endpoint, request_content)) {
+			cache_key = cacheKey(this.#options.baseURL, endpoint, request_content, {apiKey: this.#api_key, organization});
+
+			let cached = await cache.store.get(cache_key);
+
+			if (cached)
+				return cached;
+		}
+
+		request_content = this.#fit(endpoint, request_content, config);
+
+		// Streams settle their reservation once they end.
+		let reservation = responseType ? null : this.#reserve(endpoint, request_type, request_content);
+		let deadline = createSignal(config.signal, config.timeout, endpoint);
+		let estimate = this.#scheduler && request_type === 'POST' && typeof request_content === 'object' ? Usage.estimateOf(endpoint, request_content) : null;
+		let tokens = estimate ? estimate.prompt_tokens + estimate.completion_tokens : 0;
+
+		try {
+			for (let attempt = 1; ; attempt++) {
+				if (deadline.signal.aborted)
+					throw deadline.signal.reason;
+
+				// Contents given as a function are built again on every attempt, so streams are never sent twice.
+				let content = typeof request_content === 'function' ? request_content(attempt) : request_content;
+
+				let ctx = {
+					endpoint,
+					method: request_type,
+					attempt,
+					headers: {
+						...headers,
+						...this.#options.headers,
+						...(typeof content.getHeaders === 'function' ? content.getHeaders() : {}),
+						...custom_header,
+						...config.headers
+					},
+					body: content,
+					responseType,
+					signal: deadline.signal,
+					startedAt: Date.now(),
+					duration: null,
+					response: null,
+					error: null
+				};
+
+				let res;
+
+				try {
+					res = await abortable(this.#schedule(ctx, config.priority, tokens), deadline.signal);
+				} catch (err) {
+					if (deadline.signal.aborted)
+						throw deadline.signal.reason;
+
+					// Errors thrown by middlewares are not request failures, so they are neither converted nor retried.
+					if (!(err instanceof RequestError))
+						throw err;
+
+					let error = err;
+
+					if (!retry || !isRetryable(policy, error, attempt))
+						throw error;
+
+					let delay = retryDelay(policy, error, attempt);
+
+					if (policy.onRetry)
+						policy.onRetry({endpoint, attempt, delay, error});
+
+					await sleep(delay, deadline.signal);
+
+					continue;
+				}
+
+				if (request_type === 'POST' && typeof request_content === 'object' && !responseType) {
+					let usage = this.#usage.track(endpoint, request_content, res.data);
+
+					if (reservation)
+						this.#budget.settle(reservation, usage);
+				}
+
+				if (cache_key)
+					await cache.store.set(cache_key, {status: res.status, headers: res.headers, data: res.data}, cache.ttl);
+
+				return res;
+			}
+		} finally {
+			deadline.clear();
+
+			if (reservation)
+				this.#budget.settle(reservation, null);
+		}
+	}
+
+	#assertBody(name, body) {
+		let report = validateBody(name, body, this.#options.unknownKeys);
+
+		for (const warning of report.warnings)
+			process.emitWarning(`${name} body: ${warning.field} ${warning.message}`, 'OpenAIWarning');
+
+		if (!report.valid)
+			throw new RequestError.ValidationError({message: `invalid ${name} body: ` + report.errors.map(error => error.field ? `${error.field} ${error.message}` : error.message).join(', ')}, {details: report});
+	}
+
+	#fit(endpoint, request_content, config) {
+		let match = endpoint.match(/^\/engines\/([^/]+)\/completions$/);
+
+		if (!config.fit || !match || typeof request_content !== 'object')
+			return request_content;
+
+		let { content, report } = fitPrompt(match[1], request_content, config.fit);
+
+		if (report && config.onFit)
+			config.onFit(report);
+
+		return content;
+	}
+
+	#reserve(endpoint, request_type, request_content) {
+		if (!this.#budget || request_type !== 'POST' || typeof request_content !== 'object')
+			return null;
+
+		let estimate = Usage.estimateOf(endpoint, request_content);
+
+		return estimate ? this.#budget.reserve(endpoint, estimate) : null;
+	}
+
+	/**
+	 * @typedef {Object} MiddlewareContext
+	 * 
+	 * @property {String} endpoint The path of the request, which may be rewritten.
+	 * @property {String} method `GET`, `POST` or `DELETE`.
+	 * @property {Number} attempt The attempt number, starting at 1, greater when the request is retried.
+	 * @property {Object} headers The headers to send, which may be changed.
+	 * @property {Object|FormData} body The JSON body (query parameters of GET requests) or the upload form, which may be replaced.
+	 * @property {String} [responseType] `stream` for streamed responses.
+	 * @property {AbortSignal} signal Aborted when the request is cancelled or times out.
+	 * @property {Number} startedAt When the attempt started, in milliseconds since the epoch.
+	 * @property {Number|null} duration Milliseconds the transport took, set once `next()` settles.
+	 * @property {Object|null} response The `{status, headers, data}` of the response, set once `next()` resolves (`data` is a stream for streamed responses).
+	 * @property {RequestError|null} error The error of the request, set once `next()` rejects.
+	 */
+
+	/**
+	 * Adds a middleware around every request sent by the client, uploads and streams included.
+	 * Middlewares run in the order they were added, each one receives the {@link MiddlewareContext} of the request
+	 * and a `next` function sending it, which resolves to the response. A middleware may also set `ctx.response` without calling `next`.
+	 * Requests answered by the cache do not go through the middlewares.
+	 * @param {Function} middleware `async (ctx, next) => {}`
+	 * @returns {OpenAI} The client, so calls can be chained
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 *
+	 * client.use(async (ctx, next) => {
+	 *     ctx.headers['X-Request-Source'] = 'batch';
+	 *
+	 *     try {
+	 *         await next();
+	 *     } finally {
+	 *         console.log(`${ctx.method} ${ctx.endpoint} ${ctx.response ? ctx.response.status : ctx.error.message} in ${ctx.duration}ms`);
+	 *     }
+	 * });
+	 */
+	use(middleware) {
+		assert.strictEqual(typeof middleware, 'function', 'middleware must be a function');
+
+		this.#middlewares.push(middleware);
+
+		return this;
+	}
+
+	async #schedule(ctx, priority, tokens) {
+		if (!this.#scheduler)
+			return this.#dispatch(ctx);
+
+		let release = await this.#scheduler.acquire({priority, tokens, signal: ctx.signal});
+
+		ctx.startedAt = Date.now();
+
+		try {
+			return await this.#dispatch(ctx);
+		} finally {
+			release();
+		}
+	}
+
+	async #dispatch(ctx) {
+		let send = async () => {
+			let request = {
+				baseURL: this.#options.baseURL,
+				timeout: this.#options.timeout,
+				responseType: ctx.responseType,
+				signal: ctx.signal,
+				method: ctx.method,
+				url: ctx.endpoint,
+				headers: ctx.headers
+			};
+
+			if (ctx.method === 'POST')
+				request.data = ctx.body;
+			else if (ctx.method === 'GET')
+				request.params = ctx.body;
+
+			try {
+				ctx.response = await this.#transport(request);
+				ctx.error = null;
+			} catch (err) {
+				if (err.response && err.response.data instanceof stream.Readable)
+					err.response.data = parseBody(await readAll(err.response.data));
+
+				ctx.error = RequestError.from(err, ctx.endpoint);
+
+				throw ctx.error;
+			} finally {
+				ctx.duration = Date.now() - ctx.startedAt;
+			}
+
+			return ctx.response;
+		};
+
+		let run = async index => {
+			if (index === this.#middlewares.length)
+				return send();
+
+			await this.#middlewares[index](ctx, () => run(index + 1));
+
+			return ctx.response;
+		};
+
+		await run(0);
+
+		if (!ctx.response)
+			throw ctx.error || new Error('a middleware must call next() or set ctx.response');
+
+		return ctx.response;
+	}
+
+	async *_stream(endpoint = '', request_content = {}, options = {}, request_type = 'POST') {
+		let { fit, onFit, ...request_options } = options;
+
+		request_content = this.#fit(endpoint, request_content, options);
+		options = request_options;
+
+		let reservation = this.#reserve(endpoint, request_type, request_content);
+		let deadline = createSignal(options.signal, options.timeout, endpoint);
+		let res = await this._request(endpoint, {...request_content, stream: true}, request_type, {}, {...options, responseType: 'stream', signal: deadline.signal, timeout: 0})
+		.catch(err => {
+			deadline.clear();
+
+			if (reservation)
+				this.#budget.settle(reservation, null);
+
+			throw err;
+		});
+
+		let abort = () => res.data.destroy(deadline.signal.reason);
+
+		deadline.signal.addEventListener('abort', abort, {once: true});
+
+		// Streamed chunks have no usage, so the text of each choice is kept to estimate it.
+		let choices = [];
+
+		try {
+			for await (const message of readEvents(res.data)) {
+				let data = JSON.parse(message);
+
+				if (data.error)
+					throw new RequestError(data.error, {status: res.status, headers: res.headers, endpoint});
+
+				for (const choice of data.choices || []) {
+					let current = choices[choice.index] || (choices[choice.index] = {index: choice.index, text: ''});
+
+					current.text += choice.text || '';
+				}
+
+				yield data;
+			}
+		} finally {
+			deadline.signal.removeEventListener('abort', abort);
+			deadline.clear();
+			res.data.destroy();
+
+			let usage = choices.length > 0 ? this.#usage.track(endpoint, request_content, {choices: choices.filter(Boolean)}) : null;
+
+			if (reservation)
+				this.#budget.settle(reservation, usage);
+		}
+	}
+
+	_list(endpoint, options = {}) {
+		let { limit, after, ...request_options } = options || {};
+		let params = {};
+
+		if (limit !== undefined)
+			params.limit = limit;
+
+		if (after !== undefined)
+			params.after = after;
+
+		// Options are checked when the first page is fetched, so list methods reject like the other ones.
+		return new List(async page_params => {
+			assert.ok(options && typeof options === 'object', 'options must be an object');
+			assert.ok(limit !== undefined ? Number.isInteger(limit) && limit > 0 : true, 'limit must be a positive integer');
+			assert.ok(after !== undefined ? typeof after === 'string' : true, 'after must be a string');
+
+			return this._request(endpoint, page_params, 'GET', {}, request_options)
+			.then(res => res.data);
+		}, params);
+	}
+
+	async _poll(endpoint, options = {}, done = () => true) {
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+		assert.ok(options.interval ? typeof options.interval === 'number' : true, 'interval must be a number');
+		assert.ok(options.onUpdate ? typeof options.onUpdate === 'function' : true, 'onUpdate must be a function');
+
+		let deadline = createSignal(options.signal, options.timeout, endpoint);
+
+		try {
+			for (;;) {
+				let res = await this._request(endpoint, {}, 'GET', {}, {signal: deadline.signal});
+
+				if (options.onUpdate)
+					options.onUpdate(res.data);
+
+				if (done(res.data))
+					return res.data;
+
+				await sleep(options.interval || 10000, deadline.signal);
+			}
+		} finally {
+			deadline.clear();
+		}
 	}
 
 	/**
@@ -84,7 +630,8 @@ class OpenAI {
 
 	/**
 	 * Lists the currently available engines, and provides basic information about each one such as the owner and availability.
-	 * @returns {Promise<Array<Engine>>}
+	 * @param {ListOptions} [options={}]
+	 * @returns {List<Engine>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
@@ -97,17 +644,14 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/api-reference/engines/list
 	 */
-	async getEngines() {
-		return this._request('/engines', {}, 'GET')
-		.then(res => res.data.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+	getEngines(options = {}) {
+		return this._list('/engines', options);
 	}
 
 	/**
 	 * Retrieves an engine instance, providing basic information about the engine such as the owner and availability.
 	 * @param {String} engine The ID of the engine to use for this request
+	 * @param {RequestOptions} [options={}]
 	 * @returns {Promise<Engine>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -121,14 +665,11 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/api-reference/engines/retrieve
 	 */
-	async getEngine(engine) {
+	async getEngine(engine, options = {}) {
 		assert.strictEqual(typeof engine, 'string', 'engine must be a string');
 
-		return this._request('/engines/' + engine, {}, 'GET')
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		return this._request('/engines/' + engine, {}, 'GET', {}, options)
+		.then(res => res.data);
 	}
 
 	/**
@@ -156,7 +697,7 @@ class OpenAI {
 	 * @property {Number} [presence_penalty] Number between 0 and 1 that penalizes new tokens based on whether they appear in the text so far.
 	 * @property {Number} [frequency_penalty] Number between 0 and 1 that penalizes new tokens based on their existing frequency in the text so far.
 	 * @property {Number} [best_of] Generates best_of completions server-side and returns the "best" (the one with the lowest log probability per token).
-	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion.
+	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion, see {@link OpenAI#biasFor}.
 	 * @see https://beta.openai.com/docs/api-reference/completions
 	 */
 
@@ -172,9 +713,11 @@ class OpenAI {
 
 	/**
 	 * Creates a new completion for the provided prompt and parameters.
+	 * If `body.stream` is true, the promise resolves to the same iterator returned by {@link OpenAI#completeStream}.
 	 * @param {string|array} [prompt=<|endoftext|>] The prompt(s) to generate completions for, encoded as a string, a list of strings, or a list of token lists.
 	 * @param {CompletionBody} [body={}]
-	 * @returns {Promise<Completion>}
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<Completion|AsyncGenerator<Completion>>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
@@ -188,20 +731,49 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/api-reference/completions/create
 	 */
-	async complete(prompt, body = {}) {
+	async complete(prompt, body = {}, options = {}) {
 		assert.ok(typeof prompt === 'string' || Array.isArray(prompt), 'prompt must be a string or array');
-		assert.ok(typeCheck(parameters.completion, body), 'invalid body content');
+		this.#assertBody('completion', body);
 
-		if (body.engine) {
-			var engine = body.engine;
-			delete body.engine;
-		}
+		if (body.stream)
+			return this.completeStream(prompt, body, options);
 
-		return this._request(`/engines/${engine || this.engine}/completions`, {prompt, ...body})
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		let { engine, ...content } = body;
+
+		return this._request(`/engines/${options.engine || engine || this.engine}/completions`, {prompt, ...content}, 'POST', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * Creates a new completion and streams back partial progress as it is generated.
+	 * Each chunk is a partial {@link Completion}, the `index` of its choices identifies which completion it belongs to
+	 * (with multiple prompts, the prompt of a choice is `Math.floor(index / n)`).
+	 * @param {string|array} [prompt=<|endoftext|>] The prompt(s) to generate completions for, encoded as a string, a list of strings, or a list of token lists.
+	 * @param {CompletionBody} [body={}]
+	 * @param {RequestOptions} [options={}]
+	 * @returns {AsyncGenerator<Completion>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 *
+	 * (async () => {
+	 *     for await (const chunk of client.completeStream('My name is Bond', {max_tokens: 16})) {
+	 *         process.stdout.write(chunk.choices[0].text);
+	 *     }
+	 * })()
+	 * .catch(console.error);
+	 * 
+	 * @see https://beta.openai.com/docs/api-reference/completions/create
+	 */
+	completeStream(prompt, body = {}, options = {}) {
+		assert.ok(typeof prompt === 'string' || Array.isArray(prompt), 'prompt must be a string or array');
+		this.#assertBody('completion', body);
+
+		assertOptions(options);
+
+		let { engine, ...content } = body;
+
+		return this._stream(`/engines/${options.engine || engine || this.engine}/completions`, {prompt, ...content}, options);
 	}
 
 	/**
@@ -227,7 +799,8 @@ class OpenAI {
 	 * Given a query and a set of documents or labels, the model ranks each document based on its semantic similarity to the provided query.
 	 * @param {string|array} query
 	 * @param {SearchBody} [body={}]
-	 * @returns {Promise<Search>}
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<Array<Search>>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
@@ -244,20 +817,14 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/guides/search/create
 	 */
-	async search(query, body = {}) {
+	async search(query, body = {}, options = {}) {
 		assert.strictEqual(typeof query, 'string', 'query must be a string');
-		assert.ok(typeCheck(parameters.search, body), 'invalid body content');
+		this.#assertBody('search', body);
 
-		if (body.engine) {
-			var engine = body.engine;
-			delete body.engine;
-		}
+		let { engine, ...content } = body;
 
-		return this._request(`/engines/${engine || this.engine}/search`, {query, ...body})
-		.then(res => res.data.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		return this._request(`/engines/${options.engine || engine || this.engine}/search`, {query, ...content}, 'POST', {}, options)
+		.then(res => res.data.data);
 	}
 
 	/**
@@ -283,7 +850,7 @@ class OpenAI {
 	 * @property {Number} [temperature] What sampling temperature to use.
 	 * @property {Number} [logprobs] Include the log probabilities on the logprobs most likely tokens, as well the chosen tokens.
 	 * @property {Number} [max_examples] The maximum number of examples to be ranked by Search when using file.
-	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion.
+	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion, see {@link OpenAI#biasFor}.
 	 * @property {Boolean} [return_prompt] If set to true, the returned JSON will include a "prompt" field containing the final prompt that was used to request a completion.
 	 * @property {Boolean} [return_metadata] A special boolean flag for showing metadata.
 	 * @property {Array<String>} [expand] If an object name is in the list, we provide the full information of the object; otherwise, we only provide the object ID.
@@ -303,6 +870,7 @@ class OpenAI {
 	 * [BETA] Classifies the specified query using provided examples.
 	 * @param {string|array} query
 	 * @param {ClassificationBody} [body={}]
+	 * @param {RequestOptions} [options={}]
 	 * @returns {Promise<Classification>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -324,20 +892,14 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/api-reference/classifications/create
 	 */
-	async classificate(query, body = {}) {
+	async classificate(query, body = {}, options = {}) {
 		assert.strictEqual(typeof query, 'string', 'query must be a string');
-		assert.ok(typeCheck(parameters.classification, body), 'invalid body content');
+		this.#assertBody('classification', body);
 
-		if (body.model) {
-			var model = body.model;
-			delete body.model;
-		}
+		let { model, ...content } = body;
 
-		return this._request(`/classifications`, {model: model || this.engine, query, ...body})
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		return this._request(`/classifications`, {model: options.engine || model || this.engine, query, ...content}, 'POST', {}, options)
+		.then(res => res.data);
 	}
 
 	/**
@@ -370,7 +932,7 @@ class OpenAI {
 	 * @property {Number} [n] How many answers to generate for each question.
 	 * @property {Number} [logprobs] Include the log probabilities on the logprobs most likely tokens, as well the chosen tokens.
 	 * @property {String|Array<String>} [stop] Up to 4 sequences where the API will stop generating further tokens.
-	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion.
+	 * @property {Object} [logit_bias] Modify the likelihood of specified tokens appearing in the completion, see {@link OpenAI#biasFor}.
 
 	 * @see https://beta.openai.com/docs/api-reference/answers
 	 */
@@ -387,6 +949,7 @@ class OpenAI {
 	 * [BETA] Answers the specified question using the provided documents and examples.
 	 * @param {string|array} question
 	 * @param {AnswerBody} [body={}]
+	 * @param {RequestOptions} [options={}]
 	 * @returns {Promise<Answer>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -408,20 +971,69 @@ class OpenAI {
 	 * 
 	 * @see https://beta.openai.com/docs/api-reference/answers/create
 	 */
-	async answer(question, body = {}) {
+	async answer(question, body = {}, options = {}) {
 		assert.strictEqual(typeof question, 'string', 'question must be a string');
-		assert.ok(typeCheck(parameters.answer, body), 'invalid body content');
+		this.#assertBody('answer', body);
+
+		let { model, ...content } = body;
 
-		if (body.model) {
-			var model = body.model;
-			delete body.model;
+		return this._request(`/answers`, {model: options.engine || model || this.engine, question: question, ...content}, 'POST', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * @typedef {Object} EmbeddingBody
+	 * 
+	 * @property {String} [engine] The embedding engine to use, such as `text-similarity-babbage-001`.
+	 * @property {String} [user] A unique identifier representing your end-user.
+	 * @see https://beta.openai.com/docs/api-reference/embeddings
+	 */
+
+	/**
+	 * Creates the embedding vectors representing the input text.
+	 * Arrays are sent in batches of up to 100 inputs.
+	 * @param {String|Array<String>} input The text(s) to embed
+	 * @param {EmbeddingBody} [body={}]
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<Array<Number>|Array<Array<Number>>>} A vector for a string, or a vector for each input of an array in the same order
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY', null, 'text-similarity-babbage-001');
+	 *
+	 * const documents = ['Dancing', 'Programming', 'Skating', 'Drawing'];
+	 *
+	 * Promise.all([client.embed('I do not like CSS'), client.embed(documents)])
+	 * .then(([query, vectors]) => {
+	 *     const [best] = OpenAI.similarity.nearest(query, vectors, 1);
+	 *
+	 *     console.log(`Likely subject: ${documents[best.index]} (${best.score})`);
+	 * })
+	 * .catch(console.error);
+	 * 
+	 * @see https://beta.openai.com/docs/api-reference/embeddings/create
+	 */
+	async embed(input, body = {}, options = {}) {
+		assert.ok(typeof input === 'string' || (Array.isArray(input) && input.every(text => typeof text === 'string')), 'input must be a string or an array of strings');
+		this.#assertBody('embedding', body);
+
+		let { engine, ...content } = body;
+		let endpoint = `/engines/${options.engine || engine || this.engine}/embeddings`;
+
+		if (typeof input === 'string') {
+			return this._request(endpoint, {input, ...content}, 'POST', {}, options)
+			.then(res => res.data.data[0].embedding);
 		}
 
-		return this._request(`/answers`, {model: model || this.engine, question: question, ...body})
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		let vectors = [];
+
+		for (let i = 0; i < input.length; i += embedding_batch_size) {
+			let res = await this._request(endpoint, {input: input.slice(i, i + embedding_batch_size), ...content}, 'POST', {}, options);
+
+			for (const embedding of res.data.data)
+				vectors[i + embedding.index] = embedding.embedding;
+		}
+
+		return vectors;
 	}
 
 	/**
@@ -440,7 +1052,8 @@ class OpenAI {
 
 	/**
 	 * Returns a list of files that belong to the user's organization.
-	 * @returns {Promise<Array<File>>}
+	 * @param {ListOptions} [options={}]
+	 * @returns {List<File>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
@@ -450,17 +1063,14 @@ class OpenAI {
 	 * .catch(console.error);
 	 * @see https://beta.openai.com/docs/api-reference/files/list
 	 */
-	async getFiles() {
-		return this._request('/files', {}, 'GET')
-		.then(res => res.data.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+	getFiles(options = {}) {
+		return this._list('/files', options);
 	}
 
 	/**
 	 * Returns information about a specific file.
 	 * @param {String} filename
+	 * @param {RequestOptions} [options={}]
 	 * @returns {Promise<File>}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -471,14 +1081,11 @@ class OpenAI {
 	 * .catch(console.error);
 	 * @see https://beta.openai.com/docs/api-reference/files/retrieve
 	 */
-	async getFile(fileId) {
+	async getFile(fileId, options = {}) {
 		assert.strictEqual(typeof fileId, 'string', 'fileId must be a string');
 
-		return this._request('/files/' + fileId, {}, 'GET')
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
-		});
+		return this._request('/files/' + fileId, {}, 'GET', {}, options)
+		.then(res => res.data);
 	}
 
 	/**
@@ -493,6 +1100,7 @@ class OpenAI {
 	/**
 	 * Delete a File.
 	 * @param {String} fileId
+	 * @param {RequestOptions} [options={}]
 	 * @returns {DeletedFile}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -503,20 +1111,106 @@ class OpenAI {
 	 * .catch(console.error);
 	 * @see https://beta.openai.com/docs/api-reference/files/delete
 	 */
-	async deleteFile(fileId) {
+	async deleteFile(fileId, options = {}) {
 		assert.strictEqual(typeof fileId, 'string', 'fileId must be a string');
 
-		return this._request('/files/' + fileId, {}, 'DELETE')
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
+		return this._request('/files/' + fileId, {}, 'DELETE', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * Returns the contents of the specified file as a stream.
+	 * @param {String} fileId
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<stream.Readable>}
+	 * @example
+	 * const fs = require('fs');
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.downloadFile('FILE_ID')
+	 * .then(content => content.pipe(fs.createWriteStream('file.jsonl')))
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/files/retrieve-content
+	 */
+	async downloadFile(fileId, options = {}) {
+		assert.strictEqual(typeof fileId, 'string', 'fileId must be a string');
+
+		return this._request(`/files/${fileId}/content`, {}, 'GET', {}, {...options, responseType: 'stream'})
+		.then(res => res.data);
+	}
+
+	/**
+	 * Downloads a JSONL file and parses each of its lines.
+	 * @param {String} fileId
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<Array<Object>>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.downloadRecords('FILE_ID')
+	 * .then(records => console.log(`${records.length} records`))
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/files/retrieve-content
+	 */
+	async downloadRecords(fileId, options = {}) {
+		let content = await this.downloadFile(fileId, options);
+		let records = [];
+
+		for await (const line of readline.createInterface({input: content, crlfDelay: Infinity})) {
+			if (line.trim() !== '')
+				records.push(JSON.parse(line));
+		}
+
+		return records;
+	}
+
+	/**
+	 * Waits until an uploaded file is processed and ready to be used.
+	 * Resolves with the file when it is processed and rejects with a {@link ProcessingError} carrying its `status_details` when it fails.
+	 * @param {String} fileId
+	 * @param {WaitOptions} [options={}]
+	 * @returns {Promise<File>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.uploadFile('{"text": "A text here"}', 'answers')
+	 * .then(file => client.waitForFile(file.id, {interval: 1000, timeout: 60000}))
+	 * .then(file => console.log(`${file.filename} is ${file.status}`))
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/files/retrieve
+	 */
+	async waitForFile(fileId, options = {}) {
+		assert.strictEqual(typeof fileId, 'string', 'fileId must be a string');
+
+		return this._poll('/files/' + fileId, options, file => {
+			if (file.status === 'processed')
+				return true;
+
+			if (file.status === 'error')
+				throw new RequestError.ProcessingError({message: file.status_details || `File ${fileId} could not be processed`, code: file.status}, {endpoint: '/files/' + fileId, details: file});
+
+			return false;
 		});
 	}
 
+	/**
+	 * @typedef {Object} UploadProgress
+	 * 
+	 * @property {Number} loaded Bytes of the file sent so far.
+	 * @property {Number|null} total Bytes of the whole file, null when the size of a stream is unknown.
+	 */
+
 	/**
 	 * Upload a file that contains document(s) to be used across various endpoints/features.
-	 * @param {string|ReadStream} file The content of the JSON to be uploaded.
+	 * Besides the {@link RequestOptions}, `options` accepts `filename` (the name of the remote file, `file.jsonl` by default),
+	 * `onProgress` (called with an {@link UploadProgress} as the file is sent) and `validate: true` to check the file with
+	 * {@link OpenAI#validateFile} before uploading it, rejecting with a {@link ValidationError} when it has errors.
+	 * @param {String|Buffer|Array<Object>|ReadStream|{path: String}} file The JSONL content, the records to serialize as JSONL, a stream or the path of a file.
 	 * @param {String} purpose The intended purpose of the uploaded documents.
+	 * @param {RequestOptions} [options={}]
 	 * @returns {File}
 	 * @example
 	 * const fs = require('fs');
@@ -527,43 +1221,476 @@ class OpenAI {
 	 * .then(console.log)
 	 * .catch(console.error);
 	 * 
-	 * client.uploadFile('{"text": "A text here"}', 'answers')
+	 * client.uploadFile('{"text": "A text here"}', 'answers', {validate: true})
+	 * .then(console.log)
+	 * .catch(console.error);
+	 * 
+	 * client.uploadFile([{prompt: 'Hello', completion: ' world'}], 'fine-tune', {filename: 'greetings.jsonl'})
+	 * .then(console.log)
+	 * .catch(console.error);
+	 * 
+	 * client.uploadFile({path: 'dataset.jsonl'}, 'fine-tune', {
+	 *     onProgress: ({loaded, total}) => console.log(`${Math.round(loaded / total * 100)}%`)
+	 * })
 	 * .then(console.log)
 	 * .catch(console.error);
 	 * @see https://beta.openai.com/docs/api-reference/files/upload
 	 */
-	async uploadFile(file, purpose) {
-		assert.ok(typeof file === 'string' || file instanceof stream.Readable, 'file must be a string or readableStream');
+	async uploadFile(file, purpose, options = {}) {
+		assert.ok(
+			typeof file === 'string' || Buffer.isBuffer(file) || Array.isArray(file) || file instanceof stream.Readable || (file && typeof file.path === 'string'),
+			'file must be a string, Buffer, array of objects, readableStream or {path}'
+		);
+		assert.ok(Array.isArray(file) ? file.every(record => record && typeof record === 'object') : true, 'file must only contain objects');
 		assert.strictEqual(typeof purpose, 'string', 'purpose must be a string');
-		assert.ok(purpose === 'search' || purpose === 'answers' || purpose === 'classifications', 'invalid purpose');
+		assert.ok(purpose === 'search' || purpose === 'answers' || purpose === 'classifications' || purpose === 'fine-tune', 'invalid purpose');
+		assert.ok(options && typeof options === 'object', 'options must be an object');
 
-		if (typeof file === 'string') {
-			let content = file;
+		let { validate = false, filename, onProgress, ...request_options } = options;
+
+		assert.strictEqual(typeof validate, 'boolean', 'validate must be a boolean');
+		assert.ok(filename ? typeof filename === 'string' : true, 'filename must be a string');
+		assert.ok(onProgress ? typeof onProgress === 'function' : true, 'onProgress must be a function');
+
+		if (Array.isArray(file))
+			file = file.map(record => JSON.stringify(record)).join('\n');
+
+		if (typeof file === 'string')
+			file = Buffer.from(file);
 
-			file = new stream.Readable();
+		let path = null;
 
-			file.push(content);
-			file.push(null);
+		if (file instanceof ReadStream && typeof file.path === 'string')
+			path = file.path;
+		else if (!Buffer.isBuffer(file) && !(file instanceof stream.Readable))
+			path = file.path;
 
-			file.path = 'file.jsonl';
+		if (validate) {
+			// Other streams cannot be read twice, so they are kept in memory to be validated.
+			if (file instanceof stream.Readable && !path)
+				file = Buffer.from(await readAll(file));
+
+			let report = await validateFile(path ? createReadStream(path) : file, purpose);
+
+			if (!report.valid) {
+				let [first] = report.errors;
+
+				throw new RequestError.ValidationError({message: `invalid ${purpose} file, ${report.errors.length} error(s), line ${first.line}: ${first.message}`}, {endpoint: '/files', details: report});
+			}
 		}
 
-		let data = new FormData();
+		let total = null;
 
-		data.append('file', file);
-		data.append('purpose', purpose);
+		if (Buffer.isBuffer(file))
+			total = file.length;
+		else if (path && onProgress)
+			total = (await fs.promises.stat(path)).size;
 
-		return this._request('/files', data, 'POST', data.getHeaders())
-		.then(res => res.data)
-		.catch(err => {
-			throw new RequestError(err.response.data.error);
+		// Buffers and files can be read again, so only those are safe to retry.
+		let retry = Buffer.isBuffer(file) || path !== null;
+
+		let form = attempt => {
+			let content = file;
+
+			if (Buffer.isBuffer(file))
+				content = stream.Readable.from([file]);
+			else if (path && (attempt > 1 || !(file instanceof stream.Readable)))
+				content = createReadStream(path);
+
+			if (onProgress)
+				content = trackProgress(content, total, onProgress);
+
+			let data = new FormData();
+
+			data.append('file', content, {filename: filename || (path ? basename(path) : 'file.jsonl')});
+			data.append('purpose', purpose);
+
+			return data;
+		};
+
+		return this._request('/files', form, 'POST', {}, {...request_options, retry: retry && request_options.retry !== false})
+		.then(res => res.data);
+	}
+
+	/**
+	 * Checks a JSONL file line by line before uploading it: the JSON of each line, the keys required by the purpose
+	 * (`text` for search and answers, `text` and `label` for classifications, `prompt` and `completion` for fine-tune),
+	 * the size of the metadata and the tokens of each record.
+	 * @param {String|Buffer|stream.Readable} file The content of the file
+	 * @param {String} purpose The intended purpose of the documents
+	 * @returns {Promise<FileValidation>}
+	 * @example
+	 * const fs = require('fs');
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.validateFile(fs.createReadStream('file.jsonl'), 'classifications')
+	 * .then(report => {
+	 *     report.errors.forEach(error => console.log(`Line ${error.line}: ${error.message}`));
+	 *     console.log(`${report.stats.records} records, ${report.stats.tokens} tokens`);
+	 * })
+	 * .catch(console.error);
+	 */
+	async validateFile(file, purpose) {
+		assert.ok(typeof file === 'string' || Buffer.isBuffer(file) || file instanceof stream.Readable, 'file must be a string, Buffer or readableStream');
+		assert.ok(validateFile.purposes.includes(purpose), 'invalid purpose');
+
+		return validateFile(file, purpose);
+	}
+
+	/**
+	 * Checks a request body against the schema of its endpoint without sending it: the type and range of each field,
+	 * the fields the API requires together and the unknown keys, according to the `unknownKeys` option of the client.
+	 * The methods do the same check and reject with a {@link ValidationError} holding this report in `details`.
+	 * @param {String} type `completion`, `search`, `classification`, `answer`, `fine_tune` or `embedding`
+	 * @param {Object} body The body given to the matching method
+	 * @returns {BodyValidation}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * var report = client.validateBody('completion', {max_tokens: 16, temprature: 3, stop: ['a', 'b', 'c', 'd', 'e']});
+	 * report.errors.forEach(error => console.log(`${error.field} ${error.message}`));
+	 * // stop must have at most 4 items, got 5
+	 * // temprature is not a known parameter
+	 */
+	validateBody(type, body) {
+		assert.ok(validateBody.schemas.includes(type), `type must be one of ${validateBody.schemas.join(', ')}`);
+
+		return validateBody(type, body, this.#options.unknownKeys);
+	}
+
+	/**
+	 * @typedef {Object} FineTune
+	 * 
+	 * @property {String} id
+	 * @property {String} object
+	 * @property {String} model
+	 * @property {Number} created_at
+	 * @property {Number} updated_at
+	 * @property {Array<FineTuneEvent>} events
+	 * @property {String|null} fine_tuned_model
+	 * @property {Object} hyperparams
+	 * @property {String} organization_id
+	 * @property {Array<File>} result_files
+	 * @property {String} status
+	 * @property {Array<File>} validation_files
+	 * @property {Array<File>} training_files
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes
+	 */
+
+	/**
+	 * @typedef {Object} FineTuneBody
+	 * 
+	 * @property {String} [validation_file] The ID of an uploaded file that contains validation data.
+	 * @property {String} [model] The name of the base model to fine-tune.
+	 * @property {Number} [n_epochs] The number of epochs to train the model for.
+	 * @property {Number} [batch_size] The batch size to use for training.
+	 * @property {Number} [learning_rate_multiplier] The learning rate multiplier to use for training.
+	 * @property {Number} [prompt_loss_weight] The weight to use for loss on the prompt tokens.
+	 * @property {Boolean} [compute_classification_metrics] If set, classification-specific metrics are calculated using the validation set at the end of every epoch.
+	 * @property {Number} [classification_n_classes] The number of classes in a classification task.
+	 * @property {String} [classification_positive_class] The positive class in binary classification.
+	 * @property {Array<Number>} [classification_betas] If provided, F-beta scores are calculated at the specified beta values.
+	 * @property {String} [suffix] A string of up to 40 characters that will be added to your fine-tuned model name.
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes
+	 */
+
+	/**
+	 * @typedef {Object} FineTuneEvent
+	 * 
+	 * @property {String} object
+	 * @property {Number} created_at
+	 * @property {String} level
+	 * @property {String} message
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes
+	 */
+
+	/**
+	 * Creates a job that fine-tunes a specified model from a given dataset.
+	 * @param {String} trainingFile The ID of an uploaded file with the `fine-tune` purpose that contains training data.
+	 * @param {FineTuneBody} [body={}]
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<FineTune>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.createFineTune('FILE_ID', {model: 'curie', n_epochs: 2})
+	 * .then(fineTune => {
+	 *     console.log(`Fine-tune ${fineTune.id} is ${fineTune.status}`);
+	 * })
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/create
+	 */
+	async createFineTune(trainingFile, body = {}, options = {}) {
+		assert.strictEqual(typeof trainingFile, 'string', 'trainingFile must be a string');
+		this.#assertBody('fine_tune', body);
+
+		return this._request('/fine-tunes', {training_file: trainingFile, ...body}, 'POST', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * Lists the fine-tuning jobs of the user's organization.
+	 * @param {ListOptions} [options={}]
+	 * @returns {List<FineTune>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.getFineTunes()
+	 * .then(console.log)
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/list
+	 */
+	getFineTunes(options = {}) {
+		return this._list('/fine-tunes', options);
+	}
+
+	/**
+	 * Gets info about a fine-tune job.
+	 * @param {String} fineTuneId
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<FineTune>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.getFineTune('FINE_TUNE_ID')
+	 * .then(console.log)
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/retrieve
+	 */
+	async getFineTune(fineTuneId, options = {}) {
+		assert.strictEqual(typeof fineTuneId, 'string', 'fineTuneId must be a string');
+
+		return this._request('/fine-tunes/' + fineTuneId, {}, 'GET', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * Immediately cancels a fine-tune job.
+	 * @param {String} fineTuneId
+	 * @param {RequestOptions} [options={}]
+	 * @returns {Promise<FineTune>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.cancelFineTune('FINE_TUNE_ID')
+	 * .then(console.log)
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/cancel
+	 */
+	async cancelFineTune(fineTuneId, options = {}) {
+		assert.strictEqual(typeof fineTuneId, 'string', 'fineTuneId must be a string');
+
+		return this._request(`/fine-tunes/${fineTuneId}/cancel`, {}, 'POST', {}, options)
+		.then(res => res.data);
+	}
+
+	/**
+	 * Gets the status updates of a fine-tune job.
+	 * @param {String} fineTuneId
+	 * @param {ListOptions} [options={}]
+	 * @returns {List<FineTuneEvent>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.getFineTuneEvents('FINE_TUNE_ID')
+	 * .then(events => events.forEach(event => console.log(event.message)))
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/events
+	 */
+	getFineTuneEvents(fineTuneId, options = {}) {
+		assert.strictEqual(typeof fineTuneId, 'string', 'fineTuneId must be a string');
+
+		return this._list(`/fine-tunes/${fineTuneId}/events`, options);
+	}
+
+	/**
+	 * Streams the status updates of a fine-tune job as they happen, the iteration ends when the job finishes.
+	 * @param {String} fineTuneId
+	 * @param {RequestOptions} [options={}]
+	 * @returns {AsyncGenerator<FineTuneEvent>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * (async () => {
+	 *     for await (const event of client.followFineTuneEvents('FINE_TUNE_ID')) {
+	 *         console.log(event.message);
+	 *     }
+	 * })()
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/events
+	 */
+	followFineTuneEvents(fineTuneId, options = {}) {
+		assert.strictEqual(typeof fineTuneId, 'string', 'fineTuneId must be a string');
+		assertOptions(options);
+
+		return this._stream(`/fine-tunes/${fineTuneId}/events`, {}, options, 'GET');
+	}
+
+	/**
+	 * @typedef {Object} WaitOptions
+	 * 
+	 * @property {Number} [interval=10000] Milliseconds between two checks.
+	 * @property {Number} [timeout] Milliseconds to wait before rejecting with a {@link TimeoutError}.
+	 * @property {AbortSignal} [signal] Stops waiting, rejecting with an {@link AbortError}.
+	 * @property {Function} [onUpdate] Called with the object after every check.
+	 */
+
+	/**
+	 * Waits until a fine-tune job finishes.
+	 * Resolves with the fine-tune when it succeeds and rejects with a {@link ProcessingError} when it fails or is cancelled.
+	 * @param {String} fineTuneId
+	 * @param {WaitOptions} [options={}]
+	 * @returns {Promise<FineTune>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * client.waitForFineTune('FINE_TUNE_ID', {interval: 60000})
+	 * .then(fineTune => {
+	 *     console.log(`Fine-tuned model: ${fineTune.fine_tuned_model}`);
+	 * })
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/fine-tunes/retrieve
+	 */
+	async waitForFineTune(fineTuneId, options = {}) {
+		assert.strictEqual(typeof fineTuneId, 'string', 'fineTuneId must be a string');
+
+		return this._poll('/fine-tunes/' + fineTuneId, options, fineTune => {
+			if (fineTune.status === 'succeeded')
+				return true;
+
+			if (fineTune.status === 'failed' || fineTune.status === 'cancelled')
+				throw new RequestError.ProcessingError({message: `Fine-tune ${fineTuneId} ${fineTune.status}`, code: fineTune.status}, {endpoint: '/fine-tunes/' + fineTuneId, details: fineTune});
+
+			return false;
 		});
 	}
 
+	/**
+	 * @typedef {Object} UsageTotals
+	 * 
+	 * @property {Number} requests
+	 * @property {Number} estimated_requests Requests whose response had no `usage`, so their tokens were counted with the encoder.
+	 * @property {Number} prompt_tokens
+	 * @property {Number} completion_tokens
+	 * @property {Number} total_tokens
+	 * @property {Number} cost Dollars, according to the prices of the client.
+	 */
+
+	/**
+	 * @typedef {Object} UsageReport
+	 * 
+	 * @property {UsageTotals} total
+	 * @property {Object<String, UsageTotals>} engines The totals of each engine.
+	 */
+
+	/**
+	 * Returns the tokens used and their cost since the client was created or its usage reset.
+	 * Counts completions (streamed ones included), searches, classifications, answers and embeddings,
+	 * using the `usage` of the response when there is one and the encoder otherwise. Cached responses are free.
+	 * @returns {UsageReport} A snapshot, which does not change with the next requests
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY', null, 'davinci', {prices: {davinci: 0.06}});
+	 * 
+	 * client.complete('My name is Bond', {max_tokens: 5})
+	 * .then(() => {
+	 *     const usage = client.getUsage();
+	 *     console.log(`${usage.total.total_tokens} tokens, $${usage.total.cost.toFixed(4)}`);
+	 * })
+	 * .catch(console.error);
+	 */
+	getUsage() {
+		return this.#usage.report();
+	}
+
+	/**
+	 * Starts counting the usage again.
+	 * @returns {UsageReport} The usage before the reset
+	 */
+	resetUsage() {
+		let report = this.#usage.report();
+
+		this.#usage.reset();
+
+		return report;
+	}
+
+	/**
+	 * @typedef {Object} BudgetOptions
+	 * 
+	 * @property {Number} [tokens] Maximum tokens.
+	 * @property {Number} [dollars] Maximum dollars, according to the prices of the client.
+	 * @property {Number} [window=0] Milliseconds the spending is counted for, as a sliding window, 0 to count it for the whole life of the client.
+	 */
+
+	/**
+	 * @typedef {Object} BudgetLimit
+	 * 
+	 * @property {Number} limit
+	 * @property {Number} spent Spent in the current window, including the estimate of the requests still running.
+	 * @property {Number} remaining
+	 */
+
+	/**
+	 * Returns the state of the budget of the client. Before each completion, search, classification, answer or embedding,
+	 * the client estimates its cost as the tokens of its prompt plus `max_tokens * n * best_of`, and rejects it with a
+	 * {@link BudgetExceededError} if it could go over a limit. Once the request ends, the estimate is replaced by the tokens it used.
+	 * @returns {{tokens: BudgetLimit|null, dollars: BudgetLimit|null, window: Number}|null} Null when the client has no budget
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY', null, 'davinci', {budget: {dollars: 5, window: 24 * 60 * 60 * 1000}});
+	 * 
+	 * client.complete('My name is Bond', {max_tokens: 5})
+	 * .then(() => console.log(`$${client.getBudget().dollars.remaining.toFixed(2)} left today`))
+	 * .catch(err => {
+	 *     if (err instanceof OpenAI.BudgetExceededError)
+	 *         console.error(`Over budget: ${err.details.spent} of ${err.details.limit} ${err.details.unit} spent`);
+	 * });
+	 */
+	getBudget() {
+		return this.#budget ? this.#budget.report() : null;
+	}
+
+	/**
+	 * @typedef {Object} QueueStats
+	 * 
+	 * @property {Number} queued Requests waiting for their turn.
+	 * @property {Number} running Requests sent and not finished yet.
+	 * @property {Number} requests Requests sent in the last minute.
+	 * @property {Number} tokens Tokens sent in the last minute.
+	 * @property {Number} averageWait Milliseconds the requests sent in the last minute waited in the queue, on average.
+	 * @property {Number} longestWait Milliseconds the oldest queued request has been waiting.
+	 */
+
+	/**
+	 * Returns the state of the queue of the rate limiter.
+	 * @returns {QueueStats|null} Null when the client has no `rateLimit`
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY', null, 'davinci', {rateLimit: {concurrency: 5, requestsPerMinute: 60, tokensPerMinute: 150000}});
+	 * 
+	 * setInterval(() => {
+	 *     const queue = client.getQueue();
+	 *     console.log(`${queue.queued} queued, ${queue.running} running, ${Math.round(queue.averageWait)}ms of wait`);
+	 * }, 5000);
+	 */
+	getQueue() {
+		return this.#scheduler ? this.#scheduler.stats() : null;
+	}
+
 	/**
 	 * Split text by keys.
 	 * @param {String} text The string to be encoded
-	 * @returns {Array<String>}
+	 * @returns {Array<Number>} The id of each token
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
@@ -580,7 +1707,7 @@ class OpenAI {
 
 	/**
 	 * Decode keys to text.
-	 * @param {Array<String>} text The encoded text
+	 * @param {Array<Number>} encoded_text The encoded text
 	 * @returns {string}
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
@@ -599,21 +1726,131 @@ class OpenAI {
 
 	/**
 	 * Shows the token amount of the inserted text.
-	 * @param {String} text The string to get the token amount
-	 * @returns {Number}
+	 * @param {String|Array<String>} text The string to get the token amount, or a list of strings to count at once
+	 * @returns {Number|Array<Number>} The amount of tokens, or the amount of each string
 	 * @example
 	 * const OpenAI = require('openai-nodejs');
 	 * const client = new OpenAI('YOUR_API_KEY');
 	 * 
 	 * var tokens = client.tokens('Hello, world!');
 	 * console.log(`Tokens count: ${tokens}`);
+	 * 
+	 * var counts = client.tokens(['Hello', 'Hello, world!']);
+	 * console.log(`Tokens counts: ${counts.join(', ')}`);
 	 * @see https://beta.openai.com/docs/introduction/key-concepts
 	 */
 	tokens(text) {
-		assert.strictEqual(typeof text, 'string', 'text must be a string');
+		if (Array.isArray(text)) {
+			assert.ok(text.every(item => typeof item === 'string'), 'text must be a string or an array of strings');
+
+			return text.map(item => this.encode(item).length);
+		}
+
+		assert.strictEqual(typeof text, 'string', 'text must be a string or an array of strings');
 
 		return this.encode(text).length;
 	}
+
+	/**
+	 * @typedef {Object} Token
+	 * 
+	 * @property {Number} id The id returned by {@link OpenAI#encode}.
+	 * @property {String} text The decoded token, with a replacement character (`\uFFFD`) when it only holds part of a character.
+	 * @property {Number} start Offset of its first character in the text.
+	 * @property {Number} end Offset after its last character, `text.slice(start, end)` being what the token covers.
+	 * Tokens holding parts of the same characters share their offsets.
+	 */
+
+	/**
+	 * Splits a text into its tokens, with the characters each one covers.
+	 * @param {String} text
+	 * @returns {Array<Token>}
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * for (const token of client.tokenize('Hello, world!'))
+	 *     console.log(`${token.id} "${token.text}" [${token.start}, ${token.end})`);
+	 * @see https://beta.openai.com/docs/introduction/key-concepts
+	 */
+	tokenize(text) {
+		assert.strictEqual(typeof text, 'string', 'text must be a string');
+
+		return tokenizer.tokenize(text);
+	}
+
+	/**
+	 * Shortens a text to a maximum amount of tokens, cutting it on a token boundary and never in the middle of a character.
+	 * @param {String} text
+	 * @param {Number} maxTokens
+	 * @returns {String} The text itself when it is short enough
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * var short = client.truncate('One plus one equals two', 3);
+	 * console.log(short); // One plus one
+	 */
+	truncate(text, maxTokens) {
+		assert.strictEqual(typeof text, 'string', 'text must be a string');
+		assert.ok(Number.isInteger(maxTokens) && maxTokens >= 0, 'maxTokens must be a positive integer');
+
+		return tokenizer.truncate(text, maxTokens);
+	}
+
+	/**
+	 * @typedef {Object} BiasOptions
+	 * 
+	 * @property {Array<String|Number>} [ban] Words, phrases or token ids that must not appear (bias of -100).
+	 * @property {Object<String, Number>} [boost] The bias, from -100 to 100, of each word or phrase.
+	 * @property {Boolean} [variants=true] Whether each word is expanded into its spellings: as given, lowercase, capitalized and uppercase, with and without a leading space.
+	 */
+
+	/**
+	 * Builds the `logit_bias` of a completion, classification or answer from words instead of token ids.
+	 * The first token of each spelling of a word or phrase gets its bias, as the model cannot write the spelling without it.
+	 * When that token is only a piece of a word (`dam` for `damn`), the words starting with the same piece get the bias too,
+	 * so this piece is only biased for the word as given and not for its other casings. Banned tokens always get -100
+	 * and a token boosted by several words keeps the strongest bias. At most 300 tokens can be biased.
+	 * @param {BiasOptions} options
+	 * @returns {Object<Number, Number>} The bias of each token id
+	 * @example
+	 * const OpenAI = require('openai-nodejs');
+	 * const client = new OpenAI('YOUR_API_KEY');
+	 * 
+	 * var logit_bias = client.biasFor({ban: ['damn'], boost: {Bond: 5}});
+	 * client.complete('My name is', {max_tokens: 5, logit_bias})
+	 * .then(completion => console.log(completion.choices[0].text))
+	 * .catch(console.error);
+	 * @see https://beta.openai.com/docs/api-reference/completions/create#completions/create-logit_bias
+	 */
+	biasFor(options) {
+		assert.ok(options && typeof options === 'object', 'options must be an object');
+
+		return biasFor(options);
+	}
 }
 
+OpenAI.similarity = similarity;
+OpenAI.DocumentIndex = require('./DocumentIndex');
+OpenAI.FakeServer = require('./FakeServer');
+OpenAI.List = List;
+OpenAI.MemoryStore = MemoryStore;
+OpenAI.FileStore = FileStore;
+OpenAI.schemas = schemas;
+
+OpenAI.RequestError = RequestError;
+OpenAI.AuthenticationError = RequestError.AuthenticationError;
+OpenAI.PermissionError = RequestError.PermissionError;
+OpenAI.NotFoundError = RequestError.NotFoundError;
+OpenAI.RateLimitError = RequestError.RateLimitError;
+OpenAI.InvalidRequestError = RequestError.InvalidRequestError;
+OpenAI.ServerError = RequestError.ServerError;
+OpenAI.ConnectionError = RequestError.ConnectionError;
+OpenAI.TimeoutError = RequestError.TimeoutError;
+OpenAI.AbortError = RequestError.AbortError;
+OpenAI.ProcessingError = RequestError.ProcessingError;
+OpenAI.ValidationError = RequestError.ValidationError;
+OpenAI.BudgetExceededError = RequestError.BudgetExceededError;
+
 module.exports = OpenAI;
\ No newline at end of file
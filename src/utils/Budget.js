@@ -0,0 +1,114 @@
+const RequestError = require('./RequestError');
+
+/**
+ * Spending limit of a client, in tokens and/or dollars, over its whole life or a sliding time window.
+ * Requests reserve their estimated tokens before being sent and settle them with the tokens they used,
+ * so concurrent requests cannot go over the limit together.
+ * @private
+ */
+class Budget {
+	#entries = [];
+	#settled = {tokens: 0, dollars: 0};
+
+	/**
+	 * @param {Object} options
+	 * @param {Number} [options.tokens] Maximum tokens
+	 * @param {Number} [options.dollars] Maximum dollars
+	 * @param {Number} [options.window=0] Milliseconds the spending is counted for, 0 to count it forever
+	 * @param {Function} price Receives an engine and returns its dollars per 1000 tokens
+	 */
+	constructor({ tokens = null, dollars = null, window = 0 }, price) {
+		this.tokens = tokens;
+		this.dollars = dollars;
+		this.window = window;
+
+		this.price = price;
+	}
+
+	#cost({ engine, prompt_tokens, completion_tokens }) {
+		let tokens = prompt_tokens + completion_tokens;
+
+		return {tokens, dollars: tokens / 1000 * this.price(engine)};
+	}
+
+	#prune() {
+		if (!this.window)
+			return;
+
+		let start = Date.now() - this.window;
+
+		this.#entries = this.#entries.filter(entry => entry.pending || entry.time > start);
+	}
+
+	/**
+	 * Tokens and dollars spent in the current window, pending requests included.
+	 * @returns {{tokens: Number, dollars: Number}}
+	 */
+	spent() {
+		this.#prune();
+
+		return this.#entries.reduce((spent, entry) => ({
+			tokens: spent.tokens + entry.tokens,
+			dollars: spent.dollars + entry.dollars
+		}), {...this.#settled});
+	}
+
+	/**
+	 * Reserves the estimated cost of a request.
+	 * @param {String} endpoint
+	 * @param {{engine: String, prompt_tokens: Number, completion_tokens: Number}} estimate
+	 * @returns {Object} The reservation to settle once the request ends
+	 * @throws {RequestError.BudgetExceededError} When the request could go over a limit
+	 */
+	reserve(endpoint, estimate) {
+		let cost = this.#cost(estimate);
+		let spent = this.spent();
+
+		for (const unit of ['tokens', 'dollars']) {
+			if (this[unit] === null || spent[unit] + cost[unit] <= this[unit])
+				continue;
+
+			let amount = value => unit === 'dollars' ? '$' + value.toFixed(4) : value + ' tokens';
+
+			throw new RequestError.BudgetExceededError({
+				message: `Budget of ${amount(this[unit])}${this.window ? ` per ${this.window}ms` : ''} exceeded: ${amount(spent[unit])} spent and ${amount(cost[unit])} estimated for this request`,
+				code: 'budget_exceeded'
+			}, {endpoint, details: {unit, limit: this[unit], spent: spent[unit], estimated: cost[unit], window: this.window}});
+		}
+
+		let entry = {time: Date.now(), pending: true, ...cost};
+
+		this.#entries.push(entry);
+
+		return entry;
+	}
+
+	/**
+	 * Replaces the estimated cost of a request by its real one.
+	 * @param {Object} entry The reservation
+	 * @param {{engine: String, prompt_tokens: Number, completion_tokens: Number}|null} usage Null when nothing was used
+	 */
+	settle(entry, usage) {
+		if (!entry.pending)
+			return;
+
+		Object.assign(entry, {time: Date.now(), pending: false}, usage ? this.#cost(usage) : {tokens: 0, dollars: 0});
+
+		// Without a window only the totals matter.
+		if (!this.window) {
+			this.#entries.splice(this.#entries.indexOf(entry), 1);
+
+			this.#settled.tokens += entry.tokens;
+			this.#settled.dollars += entry.dollars;
+		}
+	}
+
+	report() {
+		let spent = this.spent();
+		let limit = unit => this[unit] === null ? null : {limit: this[unit], spent: spent[unit], remaining: Math.max(0, this[unit] - spent[unit])};
+
+		return {tokens: limit('tokens'), dollars: limit('dollars'), window: this.window};
+	}
+}
+
+module.exports = Budget;
@@ -0,0 +1,85 @@
+/**
+ * Paginated list returned by the list endpoints.
+ * Iterating it with `for await` fetches the next pages as needed, and awaiting it resolves to every item of every page.
+ * @example
+ * const OpenAI = require('openai-nodejs');
+ * const client = new OpenAI('YOUR_API_KEY');
+ *
+ * (async () => {
+ *     for await (const file of client.getFiles()) {
+ *         console.log(file.filename);
+ *     }
+ *
+ *     const files = await client.getFiles().toArray();
+ * })()
+ * .catch(console.error);
+ */
+class List {
+	#fetch;
+	#params;
+	#all = null;
+
+	/**
+	 * @param {Function} fetch Receives the query parameters of a page and resolves to its `{data, has_more}`
+	 * @param {Object} [params={}] Query parameters of the first page
+	 */
+	constructor(fetch, params = {}) {
+		this.#fetch = fetch;
+		this.#params = params;
+	}
+
+	/**
+	 * Fetches the pages one by one, each with its `data` and `has_more`.
+	 * The next page starts after the id of the last item of the previous one.
+	 * @returns {AsyncGenerator<Object>}
+	 */
+	async *pages() {
+		let params = {...this.#params};
+
+		for (;;) {
+			let page = await this.#fetch(params);
+
+			yield page;
+
+			if (!page.has_more || !page.data || page.data.length === 0)
+				return;
+
+			params = {...params, after: page.data[page.data.length - 1].id};
+		}
+	}
+
+	async *[Symbol.asyncIterator]() {
+		for await (const page of this.pages())
+			yield* page.data || [];
+	}
+
+	/**
+	 * Fetches every page and returns all their items.
+	 * @returns {Promise<Array>}
+	 */
+	async toArray() {
+		let items = [];
+
+		for await (const item of this)
+			items.push(item);
+
+		return items;
+	}
+
+	then(resolve, reject) {
+		if (!this.#all)
+			this.#all = this.toArray();
+
+		return this.#all.then(resolve, reject);
+	}
+
+	catch(reject) {
+		return this.then(undefined, reject);
+	}
+
+	finally(callback) {
+		return this.then().finally(callback);
+	}
+}
+
+module.exports = List;
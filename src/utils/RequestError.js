@@ -1,11 +1,115 @@
 class RequestError extends Error {
-	constructor(err) {
-		super(err.message);
+	/**
+	 * @param {Object} [err={}] The error object returned by the API
+	 * @param {Object} [details={}] The `status`, `headers`, `endpoint` and `cause` of the failed request, and the `details` of a failed job
+	 */
+	constructor(err = {}, details = {}) {
+		super(err.message || details.message || 'Request failed');
+
+		this.name = this.constructor.name;
 
 		this.code = err.code;
 		this.param = err.param;
 		this.type = err.type;
+
+		this.status = details.status || null;
+		this.headers = details.headers || {};
+		this.requestId = this.headers['x-request-id'] || null;
+		this.endpoint = details.endpoint || null;
+		this.cause = details.cause;
+
+		if (details.details)
+			this.details = details.details;
+	}
+
+	/**
+	 * Converts an error thrown by the transport into the matching RequestError.
+	 * @param {Error} err
+	 * @param {String} [endpoint]
+	 * @returns {RequestError}
+	 */
+	static from(err, endpoint = null) {
+		if (err instanceof RequestError)
+			return err;
+
+		if (!err.response) {
+			let timeout = err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message);
+			let ErrorClass = timeout ? TimeoutError : ConnectionError;
+
+			return new ErrorClass({message: err.message, code: err.code}, {endpoint, cause: err});
+		}
+
+		let { status, headers, data } = err.response;
+		let body = data && typeof data.error === 'object' && data.error !== null
+			? data.error
+			: {message: typeof data === 'string' && data ? data : err.message};
+
+		let ErrorClass = RequestError;
+
+		if (status === 400 || status === 409 || status === 422)
+			ErrorClass = InvalidRequestError;
+		else if (status === 401)
+			ErrorClass = AuthenticationError;
+		else if (status === 403)
+			ErrorClass = PermissionError;
+		else if (status === 404)
+			ErrorClass = NotFoundError;
+		else if (status === 429)
+			ErrorClass = RateLimitError;
+		else if (status >= 500)
+			ErrorClass = ServerError;
+
+		return new ErrorClass(body, {status, headers, endpoint, cause: err});
 	}
 }
 
-module.exports = RequestError;
\ No newline at end of file
+/** The API key or organization is invalid (401). */
+class AuthenticationError extends RequestError {}
+
+/** The API key has no access to the requested resource (403). */
+class PermissionError extends RequestError {}
+
+/** The requested engine, file or endpoint does not exist (404). */
+class NotFoundError extends RequestError {}
+
+/** Too many requests or tokens were sent, or the quota is over (429). */
+class RateLimitError extends RequestError {}
+
+/** The request was rejected because of its content (400, 409 and 422). */
+class InvalidRequestError extends RequestError {}
+
+/** The API failed to handle the request (5xx). */
+class ServerError extends RequestError {}
+
+/** No response was received (DNS failure, connection refused or reset). */
+class ConnectionError extends RequestError {}
+
+/** The request took longer than its timeout. */
+class TimeoutError extends ConnectionError {}
+
+/** The request was cancelled through its AbortSignal. */
+class AbortError extends RequestError {}
+
+/** A file or fine-tune that was being waited for failed, its last state is in `details`. */
+class ProcessingError extends RequestError {}
+
+/** The request was not sent because its content is invalid, the problems found are in `details`. */
+class ValidationError extends RequestError {}
+
+/** The request was not sent because it could go over the budget of the client, the limit and the spending are in `details`. */
+class BudgetExceededError extends RequestError {}
+
+RequestError.AuthenticationError = AuthenticationError;
+RequestError.PermissionError = PermissionError;
+RequestError.NotFoundError = NotFoundError;
+RequestError.RateLimitError = RateLimitError;
+RequestError.InvalidRequestError = InvalidRequestError;
+RequestError.ServerError = ServerError;
+RequestError.ConnectionError = ConnectionError;
+RequestError.TimeoutError = TimeoutError;
+RequestError.AbortError = AbortError;
+RequestError.ProcessingError = ProcessingError;
+RequestError.ValidationError = ValidationError;
+RequestError.BudgetExceededError = BudgetExceededError;
+
+module.exports = RequestError;
@@ -0,0 +1,121 @@
+const window = 60000;
+
+/**
+ * Queue holding requests back until they fit the concurrency, requests per minute and tokens per minute of a client.
+ * Requests with a higher priority leave first, those with the same priority in the order they came.
+ * @private
+ */
+class Scheduler {
+	#queue = [];
+	#running = 0;
+	#sequence = 0;
+	#sent = [];
+	#timer = null;
+
+	/**
+	 * @param {Object} options
+	 * @param {Number} [options.concurrency=Infinity] Maximum requests running at once
+	 * @param {Number} [options.requestsPerMinute=Infinity] Maximum requests sent in any minute
+	 * @param {Number} [options.tokensPerMinute=Infinity] Maximum tokens sent in any minute
+	 */
+	constructor({ concurrency = Infinity, requestsPerMinute = Infinity, tokensPerMinute = Infinity } = {}) {
+		this.concurrency = concurrency;
+		this.requestsPerMinute = requestsPerMinute;
+		this.tokensPerMinute = tokensPerMinute;
+	}
+
+	/**
+	 * Waits for the turn of a request.
+	 * @param {Object} request
+	 * @param {Number} [request.priority=0]
+	 * @param {Number} [request.tokens=0] The tokens the request may use
+	 * @param {AbortSignal} [request.signal] Removes the request from the queue, which then rejects with the reason of the signal
+	 * @returns {Promise<Function>} Resolves with the function to call once the request ends
+	 */
+	acquire({ priority = 0, tokens = 0, signal = null } = {}) {
+		return new Promise((resolve, reject) => {
+			let entry = {priority, tokens, sequence: this.#sequence++, queuedAt: Date.now(), resolve, reject, signal, abort: null};
+
+			if (signal) {
+				entry.abort = () => {
+					this.#queue.splice(this.#queue.indexOf(entry), 1);
+
+					reject(signal.reason);
+					this.#drain();
+				};
+
+				signal.addEventListener('abort', entry.abort, {once: true});
+			}
+
+			let index = this.#queue.findIndex(queued => queued.priority < priority);
+
+			this.#queue.splice(index === -1 ? this.#queue.length : index, 0, entry);
+			this.#drain();
+		});
+	}
+
+	#prune(now) {
+		this.#sent = this.#sent.filter(sent => sent.time > now - window);
+	}
+
+	#drain() {
+		clearTimeout(this.#timer);
+		this.#timer = null;
+
+		let now = Date.now();
+
+		this.#prune(now);
+
+		while (this.#queue.length > 0 && this.#running < this.concurrency) {
+			let entry = this.#queue[0];
+			let tokens = this.#sent.reduce((sum, sent) => sum + sent.tokens, 0);
+
+			// A request over the tokens per minute on its own is sent once the minute is empty, instead of waiting forever.
+			let fits = this.#sent.length < this.requestsPerMinute && (tokens + entry.tokens <= this.tokensPerMinute || this.#sent.length === 0);
+
+			if (!fits) {
+				this.#timer = setTimeout(() => this.#drain(), this.#sent[0].time + window - now);
+
+				return;
+			}
+
+			this.#queue.shift();
+			this.#running++;
+			this.#sent.push({time: now, tokens: entry.tokens, wait: now - entry.queuedAt});
+
+			if (entry.signal)
+				entry.signal.removeEventListener('abort', entry.abort);
+
+			let released = false;
+
+			entry.resolve(() => {
+				if (released)
+					return;
+
+				released = true;
+				this.#running--;
+				this.#drain();
+			});
+		}
+	}
+
+	/**
+	 * @returns {{queued: Number, running: Number, requests: Number, tokens: Number, averageWait: Number, longestWait: Number}}
+	 */
+	stats() {
+		let now = Date.now();
+
+		this.#prune(now);
+
+		return {
+			queued: this.#queue.length,
+			running: this.#running,
+			requests: this.#sent.length,
+			tokens: this.#sent.reduce((sum, sent) => sum + sent.tokens, 0),
+			averageWait: this.#sent.length ? this.#sent.reduce((sum, sent) => sum + sent.wait, 0) / this.#sent.length : 0,
+			longestWait: this.#queue.reduce((longest, entry) => Math.max(longest, now - entry.queuedAt), 0)
+		};
+	}
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,210 @@
+const gpt3encoder = require('gpt-3-encoder');
+
+/**
+ * Default prices in dollars per 1000 tokens, by engine family.
+ * @private
+ */
+const default_prices = {
+	davinci: 0.06,
+	curie: 0.006,
+	babbage: 0.0012,
+	ada: 0.0008
+};
+
+function tokens(text) {
+	if (Array.isArray(text))
+		return text.reduce((sum, item) => sum + tokens(item), 0);
+
+	if (typeof text === 'number')
+		return 1;
+
+	return typeof text === 'string' && text ? gpt3encoder.encode(text).length : 0;
+}
+
+/**
+ * Tokens of each prompt of a completion: strings, arrays of strings, token arrays or arrays of token arrays.
+ * @private
+ */
+function promptTokens(prompt) {
+	if (prompt === undefined)
+		return [1];
+
+	if (!Array.isArray(prompt) || prompt.length === 0 || typeof prompt[0] === 'number')
+		return [tokens(prompt)];
+
+	return prompt.map(tokens);
+}
+
+/**
+ * Tokens used by a request, from the `usage` of the response or estimated with the encoder.
+ * @param {String} endpoint
+ * @param {Object} body
+ * @param {Object} data The response
+ * @returns {{engine: String, prompt_tokens: Number, completion_tokens: Number, estimated: Boolean}|null} Null for requests without token costs
+ * @private
+ */
+function usageOf(endpoint, body, data) {
+	let match = endpoint.match(/^\/engines\/([^/]+)\/(completions|search|embeddings)$/);
+	let kind = match ? match[2] : endpoint.slice(1);
+	let engine = match ? match[1] : (data && data.model) || body.model;
+
+	if (!['completions', 'search', 'embeddings', 'classifications', 'answers'].includes(kind) || !data)
+		return null;
+
+	if (data.usage) {
+		let prompt_tokens = data.usage.prompt_tokens || 0;
+		let completion_tokens = data.usage.completion_tokens || Math.max(0, (data.usage.total_tokens || 0) - prompt_tokens);
+
+		return {engine, prompt_tokens, completion_tokens, estimated: false};
+	}
+
+	let usage = {engine, prompt_tokens: 0, completion_tokens: 0, estimated: true};
+
+	if (kind === 'completions') {
+		let prompts = promptTokens(body.prompt);
+		let per_prompt = (data.choices || []).length / prompts.length || 1;
+
+		usage.prompt_tokens = prompts.reduce((sum, count) => sum + count, 0);
+
+		for (const choice of data.choices || []) {
+			let count = tokens(choice.text);
+
+			// Echoed prompts are part of the returned text, not of the completion.
+			if (body.echo)
+				count -= prompts[Math.floor(choice.index / per_prompt)] || 0;
+
+			usage.completion_tokens += Math.max(0, count);
+		}
+	} else if (kind === 'search') {
+		let documents = body.documents || [];
+		let query = tokens(body.query);
+
+		usage.prompt_tokens = tokens(documents) + query * Math.max(1, documents.length);
+	} else if (kind === 'embeddings') {
+		usage.prompt_tokens = tokens(body.input);
+	} else if (kind === 'classifications') {
+		usage.prompt_tokens = data.prompt
+			? tokens(data.prompt)
+			: tokens(body.query) + tokens((data.selected_examples || []).map(example => example.text + example.label));
+		usage.completion_tokens = tokens(data.label);
+	} else if (kind === 'answers') {
+		usage.prompt_tokens = data.prompt
+			? tokens(data.prompt)
+			: tokens(body.question) + tokens(body.examples_context) + tokens(body.examples || []) + tokens((data.selected_documents || []).map(document => document.text));
+		usage.completion_tokens = tokens(data.answers || []);
+	}
+
+	return usage;
+}
+
+/**
+ * Most tokens a request may use, before it is sent: its prompt plus `max_tokens * n * best_of` of every prompt for completions.
+ * @param {String} endpoint
+ * @param {Object} body
+ * @returns {{engine: String, prompt_tokens: Number, completion_tokens: Number}|null} Null for requests without token costs
+ * @private
+ */
+function estimateOf(endpoint, body) {
+	let match = endpoint.match(/^\/engines\/([^/]+)\/(completions|search|embeddings)$/);
+	let kind = match ? match[2] : endpoint.slice(1);
+	let engine = match ? match[1] : body.model;
+
+	if (!['completions', 'search', 'embeddings', 'classifications', 'answers'].includes(kind))
+		return null;
+
+	let estimate = {engine, prompt_tokens: 0, completion_tokens: 0};
+	let { max_tokens = 16, n = 1, best_of = 1 } = body;
+
+	if (kind === 'completions') {
+		let prompts = promptTokens(body.prompt);
+
+		estimate.prompt_tokens = prompts.reduce((sum, count) => sum + count, 0);
+		estimate.completion_tokens = prompts.length * max_tokens * n * best_of;
+	} else if (kind === 'search') {
+		let documents = body.documents || [];
+
+		estimate.prompt_tokens = tokens(documents) + tokens(body.query) * Math.max(1, documents.length);
+	} else if (kind === 'embeddings') {
+		estimate.prompt_tokens = tokens(body.input);
+	} else if (kind === 'classifications') {
+		let labels = body.labels || (body.examples || []).map(example => example[1]);
+
+		estimate.prompt_tokens = tokens(body.query) + tokens(body.examples || []);
+		estimate.completion_tokens = Math.max(1, ...labels.map(tokens));
+	} else if (kind === 'answers') {
+		estimate.prompt_tokens = tokens(body.question) + tokens(body.examples_context) + tokens(body.examples || []) + tokens(body.documents || []);
+		estimate.completion_tokens = max_tokens * n;
+	}
+
+	return estimate;
+}
+
+/**
+ * Token usage and cost of the requests of a client, aggregated by engine.
+ * @private
+ */
+class Usage {
+	#engines = {};
+
+	/**
+	 * @param {Object} [prices={}] Dollars per 1000 tokens by engine, merged with the default prices
+	 */
+	constructor(prices = {}) {
+		this.prices = {...default_prices, ...prices};
+	}
+
+	/**
+	 * Dollars per 1000 tokens of an engine: its own price, else the price of the family in its name (`text-curie-001` costs as `curie`).
+	 * @param {String} engine
+	 * @returns {Number}
+	 */
+	priceOf(engine) {
+		if (engine in this.prices)
+			return this.prices[engine];
+
+		let family = Object.keys(this.prices).find(name => engine && engine.includes(name));
+
+		return family ? this.prices[family] : 0;
+	}
+
+	track(endpoint, body, data) {
+		let usage = usageOf(endpoint, body, data);
+
+		if (usage)
+			this.add(usage);
+
+		return usage;
+	}
+
+	add({ engine, prompt_tokens, completion_tokens, estimated }) {
+		let entry = this.#engines[engine] || (this.#engines[engine] = {requests: 0, estimated_requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0});
+
+		entry.requests++;
+		entry.estimated_requests += estimated ? 1 : 0;
+		entry.prompt_tokens += prompt_tokens;
+		entry.completion_tokens += completion_tokens;
+		entry.total_tokens += prompt_tokens + completion_tokens;
+	}
+
+	report() {
+		let total = {requests: 0, estimated_requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0};
+		let engines = {};
+
+		for (const [engine, entry] of Object.entries(this.#engines)) {
+			engines[engine] = {...entry, cost: entry.total_tokens / 1000 * this.priceOf(engine)};
+
+			for (const key in total)
+				total[key] += engines[engine][key];
+		}
+
+		return {total, engines};
+	}
+
+	reset() {
+		this.#engines = {};
+	}
+}
+
+module.exports = Usage;
+module.exports.usageOf = usageOf;
+module.exports.estimateOf = estimateOf;
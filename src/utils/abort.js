@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const RequestError = require('./RequestError');
+
+/**
+ * Minimal AbortSignal, so cancellation does not depend on a global AbortController.
+ * @private
+ */
+class Signal {
+	#emitter = new EventEmitter();
+
+	aborted = false;
+	reason = undefined;
+
+	addEventListener(type, listener, { once = false } = {}) {
+		this.#emitter[once ? 'once' : 'on'](type, listener);
+	}
+
+	removeEventListener(type, listener) {
+		this.#emitter.removeListener(type, listener);
+	}
+
+	abort(reason) {
+		if (this.aborted)
+			return;
+
+		this.aborted = true;
+		this.reason = reason;
+
+		this.#emitter.emit('abort');
+	}
+}
+
+/**
+ * Creates a signal aborted when the given signal aborts or when the timeout expires,
+ * its reason is the {@link RequestError} the request should be rejected with.
+ * @param {AbortSignal} [signal] The signal given by the caller
+ * @param {Number} [timeout] Milliseconds before aborting
+ * @param {String} [endpoint]
+ * @returns {{signal: AbortSignal, clear: Function}}
+ * @private
+ */
+function createSignal(signal, timeout, endpoint = null) {
+	let deadline = new Signal();
+
+	let abort = () => {
+		if (signal.reason instanceof RequestError)
+			deadline.abort(signal.reason);
+		else
+			deadline.abort(new RequestError.AbortError({message: 'Request aborted'}, {endpoint, cause: signal.reason}));
+	};
+
+	if (signal) {
+		if (signal.aborted)
+			abort();
+		else
+			signal.addEventListener('abort', abort, {once: true});
+	}
+
+	let timer = timeout ? setTimeout(() => {
+		deadline.abort(new RequestError.TimeoutError({message: `Request timed out after ${timeout}ms`, code: 'ETIMEDOUT'}, {endpoint}));
+	}, timeout) : null;
+
+	return {
+		signal: deadline,
+		clear() {
+			clearTimeout(timer);
+
+			if (signal)
+				signal.removeEventListener('abort', abort);
+		}
+	};
+}
+
+/**
+ * Waits for the promise, rejecting with the abort reason as soon as the signal aborts.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise}
+ * @private
+ */
+function abortable(promise, signal) {
+	if (signal.aborted)
+		return Promise.reject(signal.reason);
+
+	let abort;
+
+	return Promise.race([
+		promise,
+		new Promise((resolve, reject) => {
+			abort = () => reject(signal.reason);
+			signal.addEventListener('abort', abort, {once: true});
+		})
+	]).finally(() => signal.removeEventListener('abort', abort));
+}
+
+/**
+ * Waits the given milliseconds, rejecting with the abort reason as soon as the signal aborts.
+ * @param {Number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise}
+ * @private
+ */
+function sleep(ms, signal) {
+	let timer;
+
+	return abortable(new Promise(resolve => {
+		timer = setTimeout(resolve, ms);
+	}), signal).finally(() => clearTimeout(timer));
+}
+
+module.exports = { createSignal, abortable, sleep };
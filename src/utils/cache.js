@@ -0,0 +1,165 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} CacheStore
+ *
+ * @property {Function} get Receives a key and returns (or resolves to) the cached value, or undefined.
+ * @property {Function} set Receives a key, a value and its time to live in milliseconds (0 means forever).
+ * @property {Function} delete Receives a key and removes its value.
+ */
+
+/**
+ * In-memory cache store that evicts the least recently used values.
+ * Values are kept serialized, so changing a returned value does not change the cache.
+ */
+class MemoryStore {
+	#entries = new Map();
+
+	/**
+	 * @param {Object} [options={}]
+	 * @param {Number} [options.max=1000] Maximum values kept
+	 */
+	constructor({ max = 1000 } = {}) {
+		this.max = max;
+	}
+
+	get(key) {
+		let entry = this.#entries.get(key);
+
+		if (!entry)
+			return undefined;
+
+		this.#entries.delete(key);
+
+		if (entry.expires && entry.expires <= Date.now())
+			return undefined;
+
+		this.#entries.set(key, entry);
+
+		return JSON.parse(entry.value);
+	}
+
+	set(key, value, ttl = 0) {
+		this.#entries.delete(key);
+		this.#entries.set(key, {value: JSON.stringify(value), expires: ttl ? Date.now() + ttl : 0});
+
+		while (this.#entries.size > this.max)
+			this.#entries.delete(this.#entries.keys().next().value);
+	}
+
+	delete(key) {
+		this.#entries.delete(key);
+	}
+
+	clear() {
+		this.#entries.clear();
+	}
+
+	get size() {
+		return this.#entries.size;
+	}
+}
+
+/**
+ * Cache store that keeps each value in a JSON file of a directory.
+ */
+class FileStore {
+	/**
+	 * @param {Object} options
+	 * @param {String} options.directory Where the files are written, created when needed
+	 */
+	constructor({ directory } = {}) {
+		assert.strictEqual(typeof directory, 'string', 'directory must be a string');
+
+		this.directory = directory;
+	}
+
+	#file(key) {
+		return path.join(this.directory, key + '.json');
+	}
+
+	async get(key) {
+		let entry;
+
+		try {
+			entry = JSON.parse(await fs.promises.readFile(this.#file(key), 'utf8'));
+		} catch (err) {
+			return undefined;
+		}
+
+		if (entry.expires && entry.expires <= Date.now()) {
+			await this.delete(key);
+
+			return undefined;
+		}
+
+		return entry.value;
+	}
+
+	async set(key, value, ttl = 0) {
+		await fs.promises.mkdir(this.directory, {recursive: true});
+		await fs.promises.writeFile(this.#file(key), JSON.stringify({value, expires: ttl ? Date.now() + ttl : 0}));
+	}
+
+	async delete(key) {
+		await fs.promises.unlink(this.#file(key)).catch(() => {});
+	}
+}
+
+function stableStringify(value) {
+	if (Array.isArray(value))
+		return '[' + value.map(stableStringify).join(',') + ']';
+
+	if (value && typeof value === 'object')
+		return '{' + Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+
+	return JSON.stringify(value);
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Hash of the request, the same for bodies with the same values in any key order.
+ * The account sending it is part of the key, so clients sharing a store never read the responses of another
+ * API key or organization (such as the completions of its private fine-tuned engines).
+ * @param {String} baseURL
+ * @param {String} endpoint The endpoint, which holds the engine of engine-bound requests
+ * @param {Object} body
+ * @param {Object} account
+ * @param {String} account.apiKey Only its hash is part of the key
+ * @param {String|null} [account.organization=null] The organization of the request
+ * @returns {String}
+ * @private
+ */
+function cacheKey(baseURL, endpoint, body, { apiKey, organization = null }) {
+	return sha256(stableStringify([baseURL, sha256(apiKey), organization, endpoint, body]));
+}
+
+/**
+ * Whether the response of the request is always the same: searches and embeddings,
+ * completions with a temperature of 0 and classifications or answers without temperature.
+ * @param {String} endpoint
+ * @param {Object} body
+ * @returns {Boolean}
+ * @private
+ */
+function isDeterministic(endpoint, body) {
+	if (body.stream)
+		return false;
+
+	if (/\/(search|embeddings)$/.test(endpoint))
+		return true;
+
+	if (/\/completions$/.test(endpoint))
+		return body.temperature === 0;
+
+	if (endpoint === '/classifications' || endpoint === '/answers')
+		return !body.temperature;
+
+	return false;
+}
+
+module.exports = { MemoryStore, FileStore, cacheKey, isDeterministic };
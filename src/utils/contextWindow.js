@@ -0,0 +1,109 @@
+const gpt3encoder = require('gpt-3-encoder');
+
+const RequestError = require('./RequestError');
+const { truncate } = require('./tokenize');
+
+/**
+ * Tokens each engine can handle, prompt and completion together.
+ * Engines missing from the table use the window of the family in their name, fine-tuned ones included.
+ * @private
+ */
+const context_windows = {
+	'text-davinci-003': 4097,
+	'text-davinci-002': 4097,
+	'code-davinci-002': 8001,
+	'code-davinci-001': 8001,
+	'code-cushman-001': 2048,
+	'davinci': 2048,
+	'curie': 2048,
+	'babbage': 2048,
+	'ada': 2048
+};
+
+const default_window = 2048;
+
+const strategies = ['truncate-start', 'truncate-end', 'shrink-max-tokens', 'error'];
+
+/**
+ * @param {String} engine
+ * @returns {Number} The context window of the engine
+ * @private
+ */
+function contextWindow(engine) {
+	if (engine in context_windows)
+		return context_windows[engine];
+
+	let family = Object.keys(context_windows).find(name => engine.includes(name));
+
+	return family ? context_windows[family] : default_window;
+}
+
+/**
+ * Trims the prompts or lowers `max_tokens` of a completion so each prompt fits the context window of the engine.
+ * @param {String} engine
+ * @param {Object} content The completion body, with its `prompt`
+ * @param {String} strategy One of `truncate-start`, `truncate-end`, `shrink-max-tokens` or `error`
+ * @returns {{content: Object, report: Object|null}} The content to send, and what was changed or null when it already fitted
+ * @throws {RequestError.ValidationError} With the report as `details` when the request does not fit and cannot be made to
+ * @private
+ */
+function fitPrompt(engine, content, strategy) {
+	let window = contextWindow(engine);
+	let max_tokens = content.max_tokens === undefined ? 16 : content.max_tokens;
+
+	// A list of numbers is a single encoded prompt, other lists hold one prompt per item.
+	let single = !Array.isArray(content.prompt) || typeof content.prompt[0] === 'number';
+	let prompts = single ? [content.prompt === undefined ? '' : content.prompt] : content.prompt;
+	let encoded = prompts.map(prompt => typeof prompt === 'string' ? gpt3encoder.encode(prompt) : prompt);
+
+	let longest = Math.max(...encoded.map(tokens => tokens.length));
+
+	if (longest + max_tokens <= window)
+		return {content, report: null};
+
+	let report = {engine, context_window: window, strategy, max_tokens, original_max_tokens: max_tokens, trimmed: []};
+	let fail = message => new RequestError.ValidationError({message, code: 'context_length_exceeded'}, {endpoint: `/engines/${engine}/completions`, details: report});
+
+	if (strategy === 'error')
+		throw fail(`prompt of ${longest} tokens and max_tokens of ${max_tokens} exceed the context window of ${engine} (${window} tokens)`);
+
+	if (strategy === 'shrink-max-tokens') {
+		if (longest >= window)
+			throw fail(`prompt of ${longest} tokens does not fit the context window of ${engine} (${window} tokens)`);
+
+		report.max_tokens = window - longest;
+
+		return {content: {...content, max_tokens: report.max_tokens}, report};
+	}
+
+	let room = window - max_tokens;
+
+	if (room <= 0)
+		throw fail(`max_tokens of ${max_tokens} does not fit the context window of ${engine} (${window} tokens)`);
+
+	let from = strategy === 'truncate-start' ? 'start' : 'end';
+
+	let fitted = encoded.map((tokens, index) => {
+		if (tokens.length <= room)
+			return prompts[index];
+
+		if (typeof prompts[index] !== 'string') {
+			let removed = from === 'start' ? tokens.slice(0, tokens.length - room) : tokens.slice(room);
+
+			report.trimmed.push({index, tokens: removed.length, text: gpt3encoder.decode(removed)});
+
+			return from === 'start' ? tokens.slice(tokens.length - room) : tokens.slice(0, room);
+		}
+
+		let kept = truncate(prompts[index], room, from);
+		let removed = from === 'start' ? prompts[index].slice(0, prompts[index].length - kept.length) : prompts[index].slice(kept.length);
+
+		report.trimmed.push({index, tokens: tokens.length - gpt3encoder.encode(kept).length, text: removed});
+
+		return kept;
+	});
+
+	return {content: {...content, prompt: single ? fitted[0] : fitted}, report};
+}
+
+module.exports = { contextWindow, fitPrompt, strategies };
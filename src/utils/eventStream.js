@@ -0,0 +1,62 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Reads a server-sent events stream and yields the data of each event.
+ * Multiple `data:` lines of the same event are joined with a line break, comments are ignored
+ * and the iteration ends once the `[DONE]` message is received.
+ * @param {AsyncIterable<Buffer|String>} source The response stream
+ * @returns {AsyncGenerator<String>}
+ * @private
+ */
+async function* readEvents(source) {
+	let decoder = new StringDecoder('utf8');
+	let buffer = '';
+	let data = [];
+
+	for await (const chunk of source) {
+		buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+		let lines = buffer.split(/\r\n|\r|\n/);
+		buffer = lines.pop();
+
+		for (const line of lines) {
+			if (line === '') {
+				if (data.length === 0)
+					continue;
+
+				let message = data.join('\n');
+				data = [];
+
+				if (message === '[DONE]')
+					return;
+
+				yield message;
+			} else if (line.startsWith('data:')) {
+				data.push(line.slice(line[5] === ' ' ? 6 : 5));
+			}
+		}
+	}
+
+	if (buffer.startsWith('data:'))
+		data.push(buffer.slice(buffer[5] === ' ' ? 6 : 5));
+
+	if (data.length > 0 && data.join('\n') !== '[DONE]')
+		yield data.join('\n');
+}
+
+/**
+ * Reads the whole content of a stream.
+ * @param {AsyncIterable<Buffer|String>} source
+ * @returns {Promise<String>}
+ * @private
+ */
+async function readAll(source) {
+	let chunks = [];
+
+	for await (const chunk of source)
+		chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+
+	return Buffer.concat(chunks).toString();
+}
+
+module.exports = { readEvents, readAll };
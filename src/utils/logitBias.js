@@ -0,0 +1,79 @@
+const assert = require('assert');
+const gpt3encoder = require('gpt-3-encoder');
+
+const max_tokens = 300;
+
+/**
+ * The first token of the spellings of a word or phrase the model may write: as given, lowercase, capitalized and uppercase,
+ * each one with and without a leading space. The model cannot write a spelling without its first token, so biasing it
+ * is enough to ban or favor the whole spelling. The trade-off is that a first token which is only a piece of a word
+ * (the `dam` of `damn`) is shared by other words (`damage`), which get the same bias. Pieces are therefore only biased
+ * for the word as given, the other casings being kept when their first token is a whole word (not the `D` of `DAMN`).
+ * @param {String} word
+ * @param {Boolean} variants Whether to expand the word into its spellings, else only the word as given is kept
+ * @returns {Array<Number>}
+ * @private
+ */
+function tokensOf(word, variants) {
+	let text = word.trim();
+
+	if (!text)
+		return [];
+
+	let given = variants ? [text, ' ' + text] : [word];
+	let casings = variants ? [text.toLowerCase(), text.charAt(0).toUpperCase() + text.slice(1), text.toUpperCase()].flatMap(casing => [casing, ' ' + casing]) : [];
+
+	let tokens = given.map(spelling => gpt3encoder.encode(spelling)[0]);
+
+	for (const casing of casings) {
+		let [first] = gpt3encoder.encode(casing);
+		let word = /^ ?\S+/.exec(casing);
+
+		if (first !== undefined && word && gpt3encoder.decode([first]) === word[0])
+			tokens.push(first);
+	}
+
+	return [...new Set(tokens.filter(token => token !== undefined))];
+}
+
+/**
+ * Builds a `logit_bias` object from words and phrases, the first token of each spelling getting its bias.
+ * Banned tokens always get -100, a token boosted by several words keeps the strongest bias.
+ * @param {Object} options
+ * @param {Array<String|Number>} [options.ban=[]] Words, phrases or token ids that must not appear
+ * @param {Object<String, Number>} [options.boost={}] Bias from -100 to 100 of each word or phrase
+ * @param {Boolean} [options.variants=true] Whether to expand each word into its spellings, else it is encoded as given
+ * @returns {Object<Number, Number>}
+ * @private
+ */
+function biasFor({ ban = [], boost = {}, variants = true } = {}) {
+	assert.ok(Array.isArray(ban), 'ban must be an array');
+	assert.ok(boost && typeof boost === 'object' && !Array.isArray(boost), 'boost must be an object');
+
+	let expand = word => tokensOf(word, variants);
+	let bias = {};
+
+	for (const [word, value] of Object.entries(boost)) {
+		assert.ok(typeof value === 'number' && value >= -100 && value <= 100, `bias of "${word}" must be a number from -100 to 100`);
+
+		for (const token of expand(word)) {
+			if (!(token in bias) || Math.abs(value) > Math.abs(bias[token]))
+				bias[token] = value;
+		}
+	}
+
+	for (const word of ban) {
+		assert.ok(typeof word === 'string' || Number.isInteger(word), 'ban must hold words or token ids');
+
+		for (const token of typeof word === 'number' ? [word] : expand(word))
+			bias[token] = -100;
+	}
+
+	let size = Object.keys(bias).length;
+
+	assert.ok(size <= max_tokens, `logit_bias can have at most ${max_tokens} tokens, got ${size}`);
+
+	return bias;
+}
+
+module.exports = biasFor;
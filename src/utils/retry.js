@@ -0,0 +1,90 @@
+/**
+ * @typedef {Object} RetryPolicy
+ *
+ * @property {Number} [retries=0] How many times a failed request is sent again.
+ * @property {Number} [minDelay=500] Milliseconds to wait before the first retry.
+ * @property {Number} [maxDelay=8000] Maximum milliseconds to wait between two attempts.
+ * @property {Number} [factor=2] Multiplier applied to the delay after every attempt.
+ * @property {Boolean} [jitter=true] Randomizes each delay between its half and its full value.
+ * @property {Array<Number>} [statusCodes=[408, 409, 429, 500, 502, 503, 504]] HTTP status codes worth retrying.
+ * @property {Boolean} [networkErrors=true] Whether requests that got no response (connection reset, DNS failure, timeout) are retried.
+ * @property {Function} [shouldRetry] Receives the {@link RequestError} and the attempt number, overrides the checks above when it returns a boolean.
+ * @property {Function} [onRetry] Called with `{endpoint, attempt, delay, error}` before waiting for each retry.
+ */
+const defaultPolicy = {
+	retries: 0,
+	minDelay: 500,
+	maxDelay: 8000,
+	factor: 2,
+	jitter: true,
+	statusCodes: [408, 409, 429, 500, 502, 503, 504],
+	networkErrors: true,
+	shouldRetry: null,
+	onRetry: null
+};
+
+/**
+ * Whether the error of the given attempt should be retried.
+ * @param {RetryPolicy} policy
+ * @param {RequestError} err
+ * @param {Number} attempt The attempt that failed, starting at 1
+ * @returns {Boolean}
+ * @private
+ */
+function isRetryable(policy, err, attempt) {
+	if (attempt > policy.retries)
+		return false;
+
+	if (policy.shouldRetry) {
+		let result = policy.shouldRetry(err, attempt);
+
+		if (typeof result === 'boolean')
+			return result;
+	}
+
+	if (err.status)
+		return policy.statusCodes.includes(err.status);
+
+	return policy.networkErrors;
+}
+
+/**
+ * Parses the Retry-After header into milliseconds.
+ * @param {Object} [headers]
+ * @returns {Number|null}
+ * @private
+ */
+function retryAfter(headers = {}) {
+	let value = headers['retry-after'];
+
+	if (value === undefined || value === null || value === '')
+		return null;
+
+	if (!isNaN(value))
+		return Math.max(0, Number(value) * 1000);
+
+	let date = Date.parse(value);
+
+	return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Milliseconds to wait before sending the request again.
+ * @param {RetryPolicy} policy
+ * @param {RequestError} err
+ * @param {Number} attempt The attempt that failed, starting at 1
+ * @returns {Number}
+ * @private
+ */
+function retryDelay(policy, err, attempt) {
+	let after = retryAfter(err.headers);
+
+	if (after !== null)
+		return after;
+
+	let delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+
+	return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+}
+
+module.exports = { defaultPolicy, isRetryable, retryAfter, retryDelay };
@@ -0,0 +1,248 @@
+/**
+ * Rules of each field: its `type` (or list of types), `required`, the `min` and `max` of numbers,
+ * the `maxLength` of strings, the `maxItems` and the rule of the `items` of arrays, and a `check` returning
+ * a reason or null. The `checks` of a schema receive the whole body and return the field-level problems.
+ */
+
+const string = {type: 'string'};
+const boolean = {type: 'boolean'};
+const strings = {type: 'array', items: string};
+
+const temperature = {type: 'number', min: 0, max: 2};
+const logprobs = {type: 'integer', min: 0, max: 5};
+const penalty = {type: 'number', min: -2, max: 2};
+const stop = {type: ['string', 'array'], maxItems: 4, items: string};
+
+const logit_bias = {
+	type: 'object',
+	check(value) {
+		let keys = Object.keys(value);
+
+		if (keys.length > 300)
+			return `must have at most 300 tokens, got ${keys.length}`;
+
+		let key = keys.find(key => !/^\d+$/.test(key));
+
+		if (key !== undefined)
+			return `must have token ids as keys, got "${key}"`;
+
+		key = keys.find(key => typeof value[key] !== 'number' || value[key] < -100 || value[key] > 100);
+
+		return key === undefined ? null : `must have biases from -100 to 100, got ${JSON.stringify(value[key])} for token ${key}`;
+	}
+};
+
+const pairs = {type: 'array', items: {type: 'array', check: value => value.length === 2 && value.every(item => typeof item === 'string') ? null : 'must be a pair of strings'}};
+
+const oneOf = (...fields) => body => fields.some(field => body[field] !== undefined && body[field] !== null)
+	? []
+	: [{field: fields[0], message: `is required unless ${fields.slice(1).join(' or ')} is given`}];
+
+const schemas = {
+	completion: {
+		fields: {
+			engine: string,
+			max_tokens: {type: 'integer', min: 0},
+			temperature,
+			top_p: {type: 'number', min: 0, max: 1},
+			n: {type: 'integer', min: 1, max: 128},
+			stream: boolean,
+			logprobs,
+			echo: boolean,
+			stop,
+			presence_penalty: penalty,
+			frequency_penalty: penalty,
+			best_of: {type: 'integer', min: 1, max: 20},
+			logit_bias,
+			user: string
+		},
+		checks: [
+			body => typeof body.best_of === 'number' && body.best_of < (body.n || 1) ? [{field: 'best_of', message: `must be greater than or equal to n (${body.n})`}] : [],
+			body => body.stream && body.best_of > 1 ? [{field: 'best_of', message: 'cannot be greater than 1 when streaming'}] : []
+		]
+	},
+	search: {
+		fields: {
+			engine: string,
+			documents: {...strings, maxItems: 200},
+			file: string,
+			max_rerank: {type: 'integer', min: 1},
+			return_metadata: boolean,
+			user: string
+		},
+		checks: [oneOf('documents', 'file')]
+	},
+	classification: {
+		fields: {
+			model: string,
+			examples: pairs,
+			file: string,
+			labels: strings,
+			search_model: string,
+			temperature,
+			logprobs,
+			max_examples: {type: 'integer', min: 1},
+			logit_bias,
+			return_prompt: boolean,
+			return_metadata: boolean,
+			expand: strings,
+			user: string
+		},
+		checks: [oneOf('examples', 'file')]
+	},
+	answer: {
+		fields: {
+			model: string,
+			examples: {...pairs, required: true},
+			examples_context: {...string, required: true},
+			documents: {...strings, maxItems: 200},
+			file: string,
+			search_model: string,
+			max_rerank: {type: 'integer', min: 1},
+			temperature,
+			logprobs,
+			max_tokens: {type: 'integer', min: 0},
+			stop,
+			n: {type: 'integer', min: 1, max: 10},
+			logit_bias,
+			return_metadata: boolean,
+			return_prompt: boolean,
+			expand: strings,
+			user: string
+		},
+		checks: []
+	},
+	fine_tune: {
+		fields: {
+			validation_file: string,
+			model: string,
+			n_epochs: {type: 'integer', min: 1},
+			batch_size: {type: 'integer', min: 1},
+			learning_rate_multiplier: {type: 'number', min: 0, exclusiveMin: true},
+			prompt_loss_weight: {type: 'number', min: 0},
+			compute_classification_metrics: boolean,
+			classification_n_classes: {type: 'integer', min: 1},
+			classification_positive_class: string,
+			classification_betas: {type: 'array', items: {type: 'number'}},
+			suffix: {...string, maxLength: 40}
+		},
+		checks: [
+			body => body.compute_classification_metrics && !body.classification_n_classes && !body.classification_positive_class
+				? [{field: 'classification_n_classes', message: 'or classification_positive_class is required to compute classification metrics'}]
+				: []
+		]
+	},
+	embedding: {
+		fields: {
+			engine: string,
+			user: string
+		},
+		checks: []
+	}
+};
+
+function typeOf(value) {
+	if (Array.isArray(value))
+		return 'array';
+
+	return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+/**
+ * The reasons a value breaks a rule, the ones of its items included.
+ * @param {String} field
+ * @param {Object} rule
+ * @param {*} value
+ * @returns {Array<{field: String, message: String}>}
+ * @private
+ */
+function checkField(field, rule, value) {
+	let types = [].concat(rule.type);
+	let type = typeOf(value);
+
+	if (!types.includes(type) && !(type === 'integer' && types.includes('number')))
+		return [{field, message: `must be ${types.map(type => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type).join(' or ')}, got ${value === null ? 'null' : type}`}];
+
+	let problems = [];
+
+	if (typeof value === 'number') {
+		if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min))
+			problems.push({field, message: `must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`});
+
+		if (rule.max !== undefined && value > rule.max)
+			problems.push({field, message: `must be at most ${rule.max}, got ${value}`});
+	}
+
+	if (typeof value === 'string' && rule.maxLength !== undefined && value.length > rule.maxLength)
+		problems.push({field, message: `must be at most ${rule.maxLength} characters, got ${value.length}`});
+
+	if (Array.isArray(value)) {
+		if (rule.maxItems !== undefined && value.length > rule.maxItems)
+			problems.push({field, message: `must have at most ${rule.maxItems} items, got ${value.length}`});
+
+		if (rule.items)
+			value.forEach((item, i) => problems.push(...checkField(`${field}[${i}]`, rule.items, item)));
+	}
+
+	if (rule.check && problems.length === 0) {
+		let message = rule.check(value);
+
+		if (message)
+			problems.push({field, message});
+	}
+
+	return problems;
+}
+
+/**
+ * @typedef {Object} BodyValidation
+ *
+ * @property {Boolean} valid Whether no error was found
+ * @property {Array<{field: String, message: String}>} errors Problems that make the API reject the body
+ * @property {Array<{field: String, message: String}>} warnings Unknown keys, when they are not errors
+ */
+
+/**
+ * Checks a request body against the schema of its endpoint.
+ * @param {String} name The schema: `completion`, `search`, `classification`, `answer`, `fine_tune` or `embedding`
+ * @param {Object} body
+ * @param {String} [unknownKeys='error'] Whether unknown keys are an `error`, a warning (`warn`) or ignored (`ignore`)
+ * @returns {BodyValidation}
+ * @private
+ */
+function validateBody(name, body, unknownKeys = 'error') {
+	let schema = schemas[name];
+
+	if (!body || typeof body !== 'object' || Array.isArray(body))
+		return {valid: false, errors: [{field: null, message: 'body must be an object'}], warnings: []};
+
+	let errors = [];
+	let warnings = [];
+
+	for (const [field, rule] of Object.entries(schema.fields)) {
+		if (body[field] === undefined || body[field] === null) {
+			if (rule.required)
+				errors.push({field, message: 'is required'});
+
+			continue;
+		}
+
+		errors.push(...checkField(field, rule, body[field]));
+	}
+
+	for (const field of Object.keys(body)) {
+		if (field in schema.fields || unknownKeys === 'ignore')
+			continue;
+
+		(unknownKeys === 'warn' ? warnings : errors).push({field, message: 'is not a known parameter'});
+	}
+
+	for (const check of schema.checks)
+		errors.push(...check(body));
+
+	return {valid: errors.length === 0, errors, warnings};
+}
+
+validateBody.schemas = Object.keys(schemas);
+
+module.exports = { schemas, validateBody };
@@ -0,0 +1,75 @@
+const assert = require('assert');
+
+/**
+ * Dot product of two vectors of the same length.
+ * @param {Array<Number>} a
+ * @param {Array<Number>} b
+ * @returns {Number}
+ */
+function dot(a, b) {
+	assert.ok(Array.isArray(a) && Array.isArray(b), 'vectors must be arrays');
+	assert.strictEqual(a.length, b.length, 'vectors must have the same length');
+
+	let sum = 0;
+
+	for (let i = 0; i < a.length; i++)
+		sum += a[i] * b[i];
+
+	return sum;
+}
+
+/**
+ * Euclidean length of a vector.
+ * @param {Array<Number>} vector
+ * @returns {Number}
+ */
+function magnitude(vector) {
+	return Math.sqrt(dot(vector, vector));
+}
+
+/**
+ * Scales a vector to length 1, so the cosine similarity of normalized vectors is their dot product.
+ * @param {Array<Number>} vector
+ * @returns {Array<Number>}
+ */
+function normalize(vector) {
+	let length = magnitude(vector);
+
+	return length === 0 ? vector.slice() : vector.map(value => value / length);
+}
+
+/**
+ * Cosine of the angle between two vectors, from -1 (opposite) to 1 (same direction).
+ * @param {Array<Number>} a
+ * @param {Array<Number>} b
+ * @returns {Number}
+ */
+function cosineSimilarity(a, b) {
+	let length = magnitude(a) * magnitude(b);
+
+	return length === 0 ? 0 : dot(a, b) / length;
+}
+
+/**
+ * Finds the vectors most similar to the query.
+ * @param {Array<Number>} query
+ * @param {Array<Array<Number>>} vectors
+ * @param {Number} [k=10] How many results to return
+ * @returns {Array<{index: Number, score: Number}>} The position of each vector in `vectors` and its cosine similarity, best first
+ * @example
+ * const { similarity } = require('openai-nodejs');
+ *
+ * similarity.nearest([1, 0], [[0, 1], [1, 1], [1, 0]], 2);
+ * // [{index: 2, score: 1}, {index: 1, score: 0.707...}]
+ */
+function nearest(query, vectors, k = 10) {
+	assert.ok(Array.isArray(vectors), 'vectors must be an array');
+	assert.ok(Number.isInteger(k) && k > 0, 'k must be a positive integer');
+
+	return vectors
+	.map((vector, index) => ({index, score: cosineSimilarity(query, vector)}))
+	.sort((a, b) => b.score - a.score)
+	.slice(0, k);
+}
+
+module.exports = { dot, magnitude, normalize, cosineSimilarity, nearest };
@@ -0,0 +1,59 @@
+const gpt3encoder = require('gpt-3-encoder');
+
+/**
+ * Encodes a text and maps each token to the characters it comes from.
+ * A character split across several tokens (as some emojis are) cannot be divided,
+ * so those tokens share the offsets of the characters they hold together.
+ * @param {String} text
+ * @returns {Array<{id: Number, text: String, start: Number, end: Number}>}
+ * @private
+ */
+function tokenize(text) {
+	let tokens = [];
+	let pending = [];
+	let position = 0;
+
+	for (const id of gpt3encoder.encode(text)) {
+		pending.push(id);
+
+		let decoded = gpt3encoder.decode(pending);
+
+		// Until the bytes of a character are complete, the decoded text has a replacement character instead.
+		if (!text.startsWith(decoded, position))
+			continue;
+
+		for (const token of pending)
+			tokens.push({id: token, text: pending.length === 1 ? decoded : gpt3encoder.decode([token]), start: position, end: position + decoded.length});
+
+		pending = [];
+		position += decoded.length;
+	}
+
+	// Lone surrogates are encoded as replacement characters, so they never match the text.
+	for (const token of pending)
+		tokens.push({id: token, text: gpt3encoder.decode([token]), start: position, end: text.length});
+
+	return tokens;
+}
+
+/**
+ * Cuts a text on a token boundary, never in the middle of a character.
+ * @param {String} text
+ * @param {Number} max_tokens
+ * @param {String} [from='end'] `end` keeps the first tokens and `start` the last ones
+ * @returns {String}
+ * @private
+ */
+function truncate(text, max_tokens, from = 'end') {
+	let tokens = tokenize(text);
+
+	if (tokens.length <= max_tokens)
+		return text;
+
+	if (from === 'start')
+		return max_tokens === 0 ? '' : text.slice(tokens[tokens.length - max_tokens - 1].end);
+
+	return text.slice(0, tokens[max_tokens].start);
+}
+
+module.exports = { tokenize, truncate };
@@ -0,0 +1,118 @@
+const gpt3encoder = require('gpt-3-encoder');
+const readline = require('readline');
+const stream = require('stream');
+
+/**
+ * Fields of each line by file purpose, `tokens` is the limit of the fields counted together.
+ * @private
+ */
+const schemas = {
+	'search': {required: ['text'], optional: ['metadata'], tokens: 2034},
+	'answers': {required: ['text'], optional: ['metadata'], tokens: 2034},
+	'classifications': {required: ['text', 'label'], optional: ['metadata'], tokens: 2034},
+	'fine-tune': {required: ['prompt', 'completion'], optional: [], tokens: 2048}
+};
+
+const max_metadata_length = 1000;
+
+/**
+ * @typedef {Object} FileIssue
+ *
+ * @property {Number} line The line number, starting at 1
+ * @property {String} message
+ */
+
+/**
+ * @typedef {Object} FileValidation
+ *
+ * @property {Boolean} valid Whether no error was found
+ * @property {Array<FileIssue>} errors Problems that make the API reject the file
+ * @property {Array<FileIssue>} warnings Problems the API ignores, such as blank lines or unknown keys
+ * @property {Object} stats `lines`, `records`, total `tokens`, `max_tokens` of a record and, for classifications, the records of each label in `labels`
+ */
+
+/**
+ * Reads a JSONL file line by line and checks each record against the format of the purpose.
+ * @param {String|Buffer|stream.Readable} content
+ * @param {String} purpose
+ * @returns {Promise<FileValidation>}
+ * @private
+ */
+async function validateFile(content, purpose) {
+	let schema = schemas[purpose];
+	let input = stream.Readable.from(typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content);
+	let lines = readline.createInterface({input, crlfDelay: Infinity});
+
+	let errors = [];
+	let warnings = [];
+	let stats = {lines: 0, records: 0, tokens: 0, max_tokens: 0};
+
+	if (purpose === 'classifications')
+		stats.labels = {};
+
+	for await (const text of lines) {
+		let line = ++stats.lines;
+
+		if (text.trim() === '') {
+			warnings.push({line, message: 'blank line'});
+			continue;
+		}
+
+		let record;
+
+		try {
+			record = JSON.parse(text);
+		} catch (err) {
+			errors.push({line, message: 'invalid JSON: ' + err.message});
+			continue;
+		}
+
+		if (!record || typeof record !== 'object' || Array.isArray(record)) {
+			errors.push({line, message: 'line must be a JSON object'});
+			continue;
+		}
+
+		stats.records++;
+
+		let tokens = 0;
+
+		for (const key of schema.required) {
+			if (!(key in record))
+				errors.push({line, message: `missing key "${key}"`});
+			else if (typeof record[key] !== 'string')
+				errors.push({line, message: `"${key}" must be a string`});
+			else
+				tokens += gpt3encoder.encode(record[key]).length;
+		}
+
+		for (const key of Object.keys(record)) {
+			if (!schema.required.includes(key) && !schema.optional.includes(key))
+				warnings.push({line, message: `unknown key "${key}"`});
+		}
+
+		if ('metadata' in record && schema.optional.includes('metadata')) {
+			let metadata = typeof record.metadata === 'string' ? record.metadata : JSON.stringify(record.metadata);
+
+			if (metadata.length > max_metadata_length)
+				errors.push({line, message: `metadata must be at most ${max_metadata_length} characters, got ${metadata.length}`});
+		}
+
+		if (tokens > schema.tokens)
+			errors.push({line, message: `${schema.required.join(' and ')} must be at most ${schema.tokens} tokens, got ${tokens}`});
+
+		if (stats.labels && typeof record.label === 'string')
+			stats.labels[record.label] = (stats.labels[record.label] || 0) + 1;
+
+		stats.tokens += tokens;
+		stats.max_tokens = Math.max(stats.max_tokens, tokens);
+	}
+
+	if (stats.records === 0)
+		errors.push({line: stats.lines, message: 'file has no records'});
+
+	return {valid: errors.length === 0, errors, warnings, stats};
+}
+
+validateFile.purposes = Object.keys(schemas);
+
+module.exports = validateFile;